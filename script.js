@@ -1,50 +1,883 @@
 class ConversaPlay {
-    constructor(conversationData, audioSrc, options = {}) {
-        this.conversation = conversationData;
-        this.audioSrc = audioSrc;
+    constructor(root, manifest, options = {}) {
+        this.root = root;
         this.options = {
+            // Words per minute for lines that have no duration
             typingSpeed: options.typingSpeed || 50,
-            autoPlay: options.autoPlay || false
+            // 'instant', 'typewriter' or 'karaoke'
+            reveal: options.reveal || 'instant',
+            // Start muted once the widget scrolls into view, pause when it leaves
+            autoPlay: options.autoPlay || false,
+            scenario: options.scenario || null,
+            // Theme name ('light', 'dark') or object, see setTheme()
+            theme: options.theme || null,
+            // Mask phone numbers, emails, addresses and names in bubbles and exports
+            redact: options.redact || false,
+            // Let a click on a masked token show the original, for internal use
+            revealRedacted: options.revealRedacted || false,
+            // Draw the audio's waveform behind the timeline
+            waveform: options.waveform !== false,
+            // Milliseconds to wait for audio that is slow to start playing or has stalled
+            audioTimeout: options.audioTimeout || 8000,
+            // How often to try a failed audio file again while playing silently
+            audioRetryInterval: options.audioRetryInterval || 15000
         };
         
-        this.audio = new Audio(this.audioSrc);
+        // Scenario data is filled in once the manifest has loaded
+        this.scenarios = {};
+        this.scenarioIds = [];
+        this.tagTriggers = {};
+        this.currentTabTriggers = [];
+        this.currentTabId = null;
+        this.conversation = [];
+        this.audioSrc = null;
+        this.audio = new Audio();
+        // What playback follows: the audio element, or a silent clock when it fails
+        this.media = this.audio;
+        this.usingFallback = false;
+        this.fallbackReason = null;
+        this.audioTimer = null;
+
+        // Autoplay: whether it has started, and whether we paused it ourselves
+        this.inView = false;
+        this.autoPlayStarted = false;
+        this.autoPaused = false;
         this.renderedMessages = new Set();
         this.renderedTags = new Set();
+        this.revealing = new Map();
+        this.listeners = {};
+        // Listeners on document and window, removed again by destroy()
+        this.globalListeners = [];
+        // Speakers registry per scenario, and the one in use
+        this.scenarioSpeakers = {};
+        this.speakers = {};
+        this.sharedSides = new Set();
+        // Each line split into plain and redacted segments, see redactConversation()
+        this.lineSegments = [];
+        // Lead card rows by field key, and the values they show
+        this.leadRows = {};
+        this.leadValues = {};
+        // Decoded peaks of the current audio and the file they are (being)
+        // loaded from, see loadWaveform(); loaded once the player is in view
+        this.peaks = null;
+        this.peaksSrc = null;
+        this.waveformVisible = false;
+        this.waveformViewObserver = null;
+        this.waveform = null;
+        this.waveformPlayed = null;
+        this.waveformObserver = null;
+        // Live speaking indicator: the message type talking now, and the
+        // analyser used for lines without a duration (see getAudioLevel())
+        this.speakingType = null;
+        this.needsAudioLevel = false;
+        this.audioContext = null;
+        this.analyser = null;
+        this.analyserAudio = null;
+        this.levelSamples = null;
+        this.lastVoiceAt = -Infinity;
+        // Transcript search: matching lines as { tabId, index, timestamp }
+        this.searchQuery = '';
+        this.searchGlobal = false;
+        this.searchHits = [];
+        this.searchPosition = -1;
+        
+        // Timeline order (indices sorted by timestamp) and what is rendered so far
+        this.messageOrder = [];
+        this.triggerOrder = [];
+        this.messageNodes = [];
+        this.tagNodes = [];
+        this.longestReveal = 0;
+        this.activeLineEl = null;
+        this.activeBubbleEl = null;
         this.isDragging = false;
+        this.playbackRate = 1;
         this.duration = 0;
         this.lastRenderTime = 0;
         this.animationFrameId = null;
         this.hasEnded = false;
         
-        // Track the last message element and its type for grouping
+        // Track the last message element and its speaker for grouping
         this.lastMessageElement = null;
-        this.lastMessageType = null;
+        this.lastSpeakerId = null;
         
         this.init();
+        this.watchWaveformView();
+        this.ready = this.loadManifest(manifest);
+
+        if (this.options.autoPlay) {
+            this.setAutoPlay(true);
+        }
     }
 
     init() {
-        this.conversationWindow = document.getElementById('conversationWindow');
-        this.progressBar = document.getElementById('progressBar');
-        this.progressFill = document.getElementById('progressFill');
-        this.scrubber = document.getElementById('scrubber');
-        this.playPauseBtn = document.getElementById('playPauseBtn');
-        this.muteBtn = document.getElementById('muteBtn');
-        this.currentTimeEl = document.getElementById('currentTime');
-        this.totalTimeEl = document.getElementById('totalTime');
-        this.tagsContainer = document.getElementById('tagsContainer');
-        this.tagsContent = document.getElementById('tagsContent');
+        this.conversationWindow = this.root.querySelector('.conversation-window');
+        this.progressBar = this.root.querySelector('.progress-bar');
+        this.progressFill = this.root.querySelector('.progress-fill');
+        this.scrubber = this.root.querySelector('.progress-scrubber');
+        this.playPauseBtn = this.root.querySelector('.play-pause-btn');
+        this.playIcon = this.root.querySelector('.play-icon');
+        this.pauseIcon = this.root.querySelector('.pause-icon');
+        this.muteBtn = this.root.querySelector('.restart-btn');
+        this.restartIcon = this.root.querySelector('.restart-icon');
+        this.prevBtn = this.root.querySelector('.prev-btn');
+        this.nextBtn = this.root.querySelector('.next-btn');
+        this.speedSelect = this.root.querySelector('.speed-select');
+        this.currentTimeEl = this.root.querySelector('.current-time');
+        this.totalTimeEl = this.root.querySelector('.total-time');
+        this.tagsContainer = this.root.querySelector('.tags-container');
+        this.tagsContent = this.root.querySelector('.tags-content');
+        // Markers are buttons, so they sit beside the slider rather than in it,
+        // where their names and roles would be hidden from screen readers
+        this.tagMarkers = document.createElement('div');
+        this.tagMarkers.className = 'tag-markers';
+        this.tagMarkers.setAttribute('role', 'group');
+        this.tagMarkers.setAttribute('aria-label', 'Highlights');
+        this.progressBar.after(this.tagMarkers);
+        this.searchMarkers = document.createElement('div');
+        this.searchMarkers.className = 'search-markers';
+        this.searchMarkers.setAttribute('aria-hidden', 'true');
+        this.progressBar.appendChild(this.searchMarkers);
+        this.tabsContainer = this.root.querySelector('.tabs-container');
+        this.indicator = this.root.querySelector('.indicator');
+        this.exportMenu = this.root.querySelector('.export-menu');
+        this.audioNotice = this.root.querySelector('.audio-notice');
+        this.soundBtn = this.root.querySelector('.sound-btn');
+        this.leadCard = this.root.querySelector('.lead-card');
+        this.searchBar = this.root.querySelector('.search-bar');
+
+        // Polite live region announcing each new line with its speaker
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'sr-only';
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.setAttribute('aria-atomic', 'true');
+        this.root.appendChild(this.liveRegion);
+
+        this.progressBar.setAttribute('role', 'slider');
+        this.progressBar.setAttribute('tabindex', '0');
+        this.progressBar.setAttribute('aria-valuemin', '0');
         
         // Hide tags container initially
         this.tagsContainer.style.opacity = '0';
         this.tagsContainer.style.transform = 'translateY(20px)';
         
-        this.setupAudio();
         this.setupEventListeners();
-        this.setupTagTriggers();
+        this.setupTagIcons();
+
+        if (this.options.theme) {
+            this.setTheme(this.options.theme);
+        }
+    }
+
+    /**
+     * Load a scenario manifest, either as an already-parsed object or as a
+     * URL to fetch. Resolves with the player once the first scenario is active.
+     *
+     * Manifest format:
+     * {
+     *   "defaultScenario": "tab1",
+     *   "scenarios": [
+     *     {
+     *       "id": "tab1",
+     *       "label": "HVAC",
+     *       "audio": "https://.../HVAC_.mp3",
+     *       "conversation": [{ "type": "ai", "text": "...", "timestamp": 0, "duration": 3.5 },
+     *                        { "type": "user", "text": "...", "timestamp": 36, "fields": { "name": "Sarah Longo" } }],
+     *       "tagTriggers": [{ "timestamp": 0.5, "tag": { "type": "greeting", "label": "...", "description": "..." } }]
+     *     }
+     *   ]
+     * }
+     *
+     * A scenario may give "captions": "path/to/file.vtt" (or .srt) instead of
+     * "conversation"; the captions are fetched and converted with parseCaptions().
+     * "captionSpeakers" maps extra speaker labels in that file to message types.
+     *
+     * A scenario may also list its speakers (see buildSpeakers()), e.g.
+     * "speakers": [{ "id": "ai", "name": "Ava (AI)", "avatar": "ava.png" },
+     *              { "id": "staff", "name": "Dana (front desk)", "side": "left", "color": "#0EA5E9" }],
+     * and the manifest may carry a "theme" (see setTheme()) unless the page sets one.
+     * With options.redact on, a scenario's "redact" adds its own patterns and
+     * names to mask (see redactConversation()).
+     *
+     * A message's "fields" fill in the lead card as it renders; the keys are
+     * those of ConversaPlay.leadFields and a later value replaces an earlier one.
+     */
+    loadManifest(manifest) {
+        const source = typeof manifest === 'string'
+            ? ConversaPlay.fetchManifest(manifest)
+            : Promise.resolve(manifest);
+
+        return source
+            .then(data => ConversaPlay.loadScenarioCaptions(data))
+            .then(data => {
+                this.setManifest(data);
+                return this;
+            });
+    }
+
+    /**
+     * Create a player with the page defaults, used by both the .widget
+     * bootstrap and <conversa-play>. `config` takes manifest, scenario,
+     * reveal, autoPlay, theme, redact, revealRedacted, waveform, analytics
+     * and editor.
+     */
+    static create(root, config = {}) {
+        const player = new ConversaPlay(
+            root,
+            config.manifest || 'scenarios.json',
+            {
+                typingSpeed: 160,
+                reveal: config.reveal || 'typewriter',
+                autoPlay: config.autoPlay,
+                scenario: config.scenario,
+                theme: config.theme,
+                redact: config.redact,
+                revealRedacted: config.revealRedacted,
+                waveform: config.waveform
+            }
+        );
+
+        // "https://..." (or "console") turns on engagement analytics
+        if (config.analytics) {
+            player.analytics = new ConversaPlayAnalytics(player, { sink: config.analytics });
+        }
+
+        // Authoring panel for retiming and editing the scenarios in the page
+        if (config.editor) {
+            player.editor = new ConversaPlayEditor(player);
+        }
+
+        player.ready.catch(error => console.error('ConversaPlay:', error));
+        return player;
+    }
+
+    static fetchManifest(url) {
+        return fetch(url).then(response => {
+            if (!response.ok) {
+                throw new Error(`Failed to load scenario manifest ${url}: ${response.status} ${response.statusText}`);
+            }
+            return response.json();
+        });
+    }
+
+    /**
+     * Decode an audio file and reduce it to ConversaPlay.peakCount peaks,
+     * resolving with { peaks, duration, loudest }, or with null when the browser has
+     * no Web Audio or the file can't be fetched (e.g. no CORS headers).
+     * Cached per URL, so each file is decoded once per page.
+     */
+    static loadPeaks(src) {
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineContext || typeof fetch === 'undefined') {
+            return Promise.resolve(null);
+        }
+
+        if (!ConversaPlay.peaksCache[src]) {
+            ConversaPlay.peaksCache[src] = fetch(src)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`${response.status} ${response.statusText}`);
+                    }
+                    return response.arrayBuffer();
+                })
+                .then(data => {
+                    // An offline context decodes without waiting for a user gesture;
+                    // the callback form also works where decodeAudioData returns nothing
+                    const context = new OfflineContext(1, 1, 44100);
+                    return new Promise((resolve, reject) => context.decodeAudioData(data, resolve, reject));
+                })
+                .then(buffer => ConversaPlay.computePeaks(buffer, ConversaPlay.peakCount))
+                .catch(error => {
+                    console.warn(`ConversaPlay: no waveform for ${src}`, error);
+                    return null;
+                });
+        }
+        return ConversaPlay.peaksCache[src];
+    }
+
+    // Loudest sample of each of `count` equal slices, across all channels
+    static computePeaks(buffer, count) {
+        const peaks = new Float32Array(count);
+        const size = buffer.length / count;
+
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < count; i++) {
+                const end = Math.min(data.length, Math.floor((i + 1) * size));
+                let peak = peaks[i];
+                for (let j = Math.floor(i * size); j < end; j++) {
+                    const value = Math.abs(data[j]);
+                    if (value > peak) peak = value;
+                }
+                peaks[i] = peak;
+            }
+        }
+
+        const loudest = peaks.reduce((max, peak) => Math.max(max, peak), 0);
+        return { peaks: peaks, duration: buffer.duration, loudest: loudest };
+    }
+
+    static loadScenarioCaptions(manifest) {
+        if (!manifest || !Array.isArray(manifest.scenarios)) {
+            return Promise.resolve(manifest);
+        }
+
+        const scenarios = manifest.scenarios.map(scenario => {
+            if (scenario.conversation || !scenario.captions) {
+                return scenario;
+            }
+
+            return fetch(scenario.captions)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load captions ${scenario.captions}: ${response.status} ${response.statusText}`);
+                    }
+                    return response.text();
+                })
+                .then(text => Object.assign({}, scenario, {
+                    conversation: ConversaPlay.parseCaptions(text, {
+                        speakers: ConversaPlay.getCaptionSpeakers(scenario, ConversaPlay.buildSpeakers(scenario))
+                    })
+                }));
+        });
+
+        return Promise.all(scenarios).then(resolved => Object.assign({}, manifest, { scenarios: resolved }));
+    }
+
+    /**
+     * The speakers registry for a scenario, keyed by id (the message type):
+     * ConversaPlay.defaultSpeakers plus the scenario's "speakers", which is a
+     * list of { id, name, side, color, textColor, icon, avatar } or an object
+     * of the same keyed by id. `side` is 'left' (the default) or 'right',
+     * `color` a CSS color for the speaker's bubbles and badge, `icon` an SVG
+     * string for the legend and `avatar` an image URL shown instead.
+     */
+    static buildSpeakers(scenario) {
+        const speakers = {};
+        Object.keys(ConversaPlay.defaultSpeakers).forEach(id => {
+            speakers[id] = Object.assign({ id: id }, ConversaPlay.defaultSpeakers[id]);
+        });
+
+        let entries = (scenario && scenario.speakers) || [];
+        if (!Array.isArray(entries)) {
+            entries = Object.keys(entries).map(id => Object.assign({ id: id }, entries[id]));
+        }
+
+        entries.forEach((entry, index) => {
+            if (!entry || !entry.id) {
+                throw new Error(`Speaker #${index} must have an "id"`);
+            }
+            const speaker = Object.assign({ side: 'left' }, speakers[entry.id], entry);
+            if (speaker.side !== 'left' && speaker.side !== 'right') {
+                throw new Error(`Speaker "${entry.id}" has side "${speaker.side}"; expected "left" or "right"`);
+            }
+            speakers[entry.id] = speaker;
+        });
+
+        return speakers;
+    }
+
+    // Caption labels for a scenario: its speakers' ids and names, plus "captionSpeakers"
+    static getCaptionSpeakers(scenario, speakers) {
+        const labels = {};
+        Object.keys(speakers).forEach(id => {
+            labels[id] = id;
+            if (speakers[id].name) {
+                labels[speakers[id].name] = id;
+            }
+        });
+        return Object.assign(labels, scenario.captionSpeakers);
+    }
+
+    // Black or white, whichever reads better on a #rgb or #rrggbb background
+    static contrastText(color) {
+        const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || '');
+        if (!hex) return '#ffffff';
+
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+        const [r, g, b] = [0, 2, 4].map(i => parseInt(digits.substr(i, 2), 16));
+        return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#000000' : '#ffffff';
+    }
+
+    /**
+     * Split every line of a conversation into plain and redacted segments,
+     * e.g. [{ text: 'Call me on ' }, { text: '[phone]', original: '303-555-7284', type: 'phone' }].
+     *
+     * Phone numbers, emails and street addresses are found by
+     * ConversaPlay.piiPatterns. Names are found where someone introduces
+     * themselves ("my name is ...") or answers a question about their name,
+     * and are then masked everywhere in the conversation, first name included.
+     * Names in the `speakers` registry (e.g. the AI's "Ava") are left visible.
+     *
+     * `config` is the scenario's "redact" object:
+     * {
+     *   "types": ["phone", "email", "address", "name"],
+     *   "names": ["Anderson"],
+     *   "patterns": [{ "type": "policy", "pattern": "POL-\\d{6}", "flags": "i" }]
+     * }
+     */
+    static redactConversation(conversation, config = {}, speakers = {}) {
+        const types = config.types || Object.keys(ConversaPlay.piiPatterns).concat('name');
+        const rules = Object.keys(ConversaPlay.piiPatterns)
+            .filter(type => types.indexOf(type) !== -1)
+            .map(type => ({ type: type, pattern: ConversaPlay.piiPatterns[type] }));
+
+        (config.patterns || []).forEach((rule, index) => {
+            if (!rule || !rule.pattern) {
+                throw new Error(`Redaction pattern #${index} must have a "pattern"`);
+            }
+            const flags = (rule.flags || '').replace('g', '') + 'g';
+            rules.push({ type: rule.type || 'private', pattern: new RegExp(rule.pattern, flags) });
+        });
+
+        const names = (config.names || []).slice();
+        if (types.indexOf('name') !== -1) {
+            const speakerWords = new Set();
+            Object.keys(speakers).forEach(id => {
+                String(speakers[id].name || id).split(/[^A-Za-z'-]+/).forEach(part => speakerWords.add(part));
+            });
+
+            conversation.forEach((message, index) => {
+                const previous = conversation[index - 1];
+                ConversaPlay.findNames(message.text, previous ? previous.text : '').forEach(name => {
+                    const words = name.split(/\s+/);
+                    if (words.some(part => speakerWords.has(part))) return;
+
+                    names.push(name);
+                    // "Sarah Longo" is later just "Sarah"; a lone word is only masked as found
+                    if (words.length >= 2) {
+                        names.push(words[0]);
+                    }
+                });
+            });
+        }
+        if (names.length > 0) {
+            // Longest first, so "Sarah Longo" wins over "Sarah"
+            const escaped = Array.from(new Set(names))
+                .sort((a, b) => b.length - a.length)
+                .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            rules.push({ type: 'name', pattern: new RegExp(`\\b(?:${escaped.join('|')})\\b`, 'g') });
+        }
+
+        return conversation.map(message => ConversaPlay.maskText(message.text, rules));
+    }
+
+    // Names someone gives for themselves in this line
+    static findNames(text, previousText) {
+        const names = [];
+        // "Longo", "O'Neil", "McDonald", "Mary-Jane", but not the "It" of "It's"
+        const word = "[A-Z](?:[a-z]+|'[A-Z][a-z]+)(?:['-]?[A-Z][a-z]+)*(?![\\w'])";
+        const intro = new RegExp(`\\b(?:([Mm]y name is|[Mm]y name's)|[Tt]his is|I'm|I am)\\s+(${word}(?:\\s+${word})?)`, 'g');
+        let match;
+        while ((match = intro.exec(text))) {
+            // "I'm ..." and "this is ..." also start "I'm Happy to help" and
+            // "this is Mile High HVAC", so the name has to end the phrase there
+            const rest = text.slice(match.index + match[0].length);
+            if (match[1] || ConversaPlay.nameEndPattern.test(rest)) {
+                names.push(match[2]);
+            }
+        }
+
+        // An answer to "May I get your full name?": the name opens the reply
+        // once "Sure,", "It's" and the like are skipped, and ends the phrase
+        if (/\bname\b[^?]*\?/i.test(previousText)) {
+            const answer = text.replace(ConversaPlay.nameLeadIn, '');
+            const fullName = new RegExp(`^${word}(?:\\s+${word}){1,2}`).exec(answer);
+            if (fullName && ConversaPlay.nameEndPattern.test(answer.slice(fullName[0].length))
+                && !fullName[0].split(/\s+/).some(part => ConversaPlay.notNameWords.has(part))) {
+                names.push(fullName[0]);
+            }
+        }
+        return names;
+    }
+
+    static maskText(text, rules) {
+        const matches = [];
+        rules.forEach(rule => {
+            rule.pattern.lastIndex = 0;
+            let match;
+            while ((match = rule.pattern.exec(text))) {
+                if (match[0] === '') {
+                    rule.pattern.lastIndex++;
+                    continue;
+                }
+                matches.push({ start: match.index, end: match.index + match[0].length, type: rule.type });
+            }
+        });
+
+        // Earliest match wins; the longer one when two start together
+        matches.sort((a, b) => a.start - b.start || b.end - a.end);
+
+        const segments = [];
+        let offset = 0;
+        matches.forEach(match => {
+            if (match.start < offset) return;
+            if (match.start > offset) {
+                segments.push({ text: text.slice(offset, match.start) });
+            }
+            segments.push({ text: `[${match.type}]`, original: text.slice(match.start, match.end), type: match.type });
+            offset = match.end;
+        });
+        if (offset < text.length || segments.length === 0) {
+            segments.push({ text: text.slice(offset) });
+        }
+        return segments;
+    }
+
+    /**
+     * Build a conversation array from WebVTT or SRT caption text.
+     *
+     * The speaker comes from a `<v AI>` voice tag or an `AI:` prefix and is
+     * mapped to a message type through ConversaPlay.captionSpeakers plus
+     * `options.speakers` (labels are case-insensitive). A cue without a label
+     * keeps the previous cue's speaker. Cue start/end become timestamp/duration.
+     * A prefix that looks like a name but isn't mapped ("Bob:") is an unknown
+     * speaker when no speaker is known yet; later on it may just as well be
+     * text ("Note:", "Step 2:"), so it stays part of the line and is passed to
+     * `options.onWarning` (console.warn by default).
+     *
+     * Throws an Error listing every malformed, unlabeled or overlapping cue;
+     * the individual messages are also available as `error.problems`.
+     */
+    static parseCaptions(text, options = {}) {
+        const speakers = {};
+        Object.entries(Object.assign({}, ConversaPlay.captionSpeakers, options.speakers)).forEach(([label, type]) => {
+            speakers[label.toLowerCase()] = type;
+        });
+
+        const warn = options.onWarning || (message => console.warn(`ConversaPlay: ${message}`));
+
+        const lines = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+        const isVtt = /^WEBVTT\b/.test(lines[0]);
+
+        // Group lines into blank-line separated blocks, remembering where each starts
+        const blocks = [];
+        let block = null;
+        lines.forEach((line, lineIndex) => {
+            if (line.trim() === '') {
+                block = null;
+                return;
+            }
+            if (!block) {
+                block = { line: lineIndex + 1, lines: [] };
+                blocks.push(block);
+            }
+            block.lines.push(line);
+        });
+
+        const conversation = [];
+        const problems = [];
+        let cueNumber = 0;
+        let previousType = null;
+        let previousEnd = 0;
+
+        blocks.forEach((cue, blockIndex) => {
+            // Skip the WEBVTT header and comment/style/region blocks
+            if (isVtt && (blockIndex === 0 || /^(NOTE|STYLE|REGION)\b/.test(cue.lines[0]))) {
+                return;
+            }
+
+            cueNumber++;
+            const where = `Cue ${cueNumber} (line ${cue.line})`;
+
+            // The timing line is first, or second after a cue identifier / SRT counter
+            const timingIndex = cue.lines.findIndex(line => line.includes('-->'));
+            if (timingIndex === -1 || timingIndex > 1) {
+                problems.push(`${where}: missing "start --> end" timing line`);
+                return;
+            }
+
+            const timing = cue.lines[timingIndex].trim();
+            const [startText, endText] = timing.split('-->').map(part => part.trim().split(/\s+/)[0]);
+            const start = ConversaPlay.parseCaptionTime(startText);
+            const end = ConversaPlay.parseCaptionTime(endText);
+
+            if (start === null || end === null) {
+                problems.push(`${where}: invalid timestamp in "${timing}"`);
+                return;
+            }
+            if (end <= start) {
+                problems.push(`${where}: ends at ${end}s, which is not after its start at ${start}s`);
+                return;
+            }
+            if (start < previousEnd) {
+                problems.push(`${where}: starts at ${start}s, overlapping the previous cue that ends at ${previousEnd}s`);
+            }
+            previousEnd = end;
+
+            let body = cue.lines.slice(timingIndex + 1).join(' ').trim();
+            let speaker = null;
+
+            const voice = body.match(/^<v(?:\.[^\s>]+)*\s+([^>]+)>/);
+            if (voice) {
+                speaker = voice[1].trim();
+            }
+
+            body = ConversaPlay.stripCaptionMarkup(body);
+
+            // A known label, or before any speaker something shaped like one
+            // ("Bob: ", "Speaker 2: "), which is reported below as unknown.
+            // Other colons ("The reason is simple: ...", "At 3:30") stay text.
+            if (!voice) {
+                const prefix = body.match(/^([^:]{1,40}):(\s*)(.*)$/);
+                const label = prefix && prefix[1].trim();
+                const labelShaped = prefix && prefix[2] && ConversaPlay.captionLabelPattern.test(label);
+                if (prefix && (speakers[label.toLowerCase()] || (labelShaped && previousType === null))) {
+                    speaker = label;
+                    body = prefix[3];
+                } else if (labelShaped) {
+                    warn(`${where}: "${label}:" is not a known speaker, so it is kept as part of the line`);
+                }
+            }
+
+            if (!body) {
+                problems.push(`${where}: cue has no text`);
+                return;
+            }
+
+            let type = previousType;
+            if (speaker !== null) {
+                type = speakers[speaker.toLowerCase()];
+                if (!type) {
+                    problems.push(`${where}: unknown speaker "${speaker}"`);
+                    return;
+                }
+            }
+            if (!type) {
+                problems.push(`${where}: no speaker label, and there is no earlier speaker to continue`);
+                return;
+            }
+            previousType = type;
+
+            conversation.push({
+                type: type,
+                text: body,
+                timestamp: start,
+                duration: Math.round((end - start) * 1000) / 1000
+            });
+        });
+
+        if (problems.length > 0) {
+            const error = new Error(`Invalid captions:\n  ${problems.join('\n  ')}`);
+            error.problems = problems;
+            throw error;
+        }
+
+        return conversation;
+    }
+
+    // Parse "hh:mm:ss.mmm", "mm:ss.mmm" or SRT's "hh:mm:ss,mmm" into seconds
+    static parseCaptionTime(value) {
+        const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/.exec(value || '');
+        if (!match) return null;
+
+        const [, hours, minutes, seconds, fraction] = match;
+        const total = Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(`0.${fraction}`);
+        return Math.round(total * 1000) / 1000;
+    }
+
+    static stripCaptionMarkup(text) {
+        return text
+            .replace(/<[^>]*>/g, '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lrm;|&rlm;/g, '')
+            .replace(/&amp;/g, '&')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    setManifest(manifest) {
+        if (!manifest || !Array.isArray(manifest.scenarios) || manifest.scenarios.length === 0) {
+            throw new Error('Scenario manifest must contain a non-empty "scenarios" array');
+        }
+
+        this.scenarios = {};
+        this.scenarioIds = [];
+        this.tagTriggers = {};
+        this.scenarioSpeakers = {};
+
+        manifest.scenarios.forEach((scenario, index) => {
+            if (!scenario.id || !Array.isArray(scenario.conversation)) {
+                throw new Error(`Scenario #${index} must have an "id" and a "conversation" array`);
+            }
+            this.scenarios[scenario.id] = scenario;
+            this.scenarioIds.push(scenario.id);
+            this.tagTriggers[scenario.id] = scenario.tagTriggers || [];
+            this.scenarioSpeakers[scenario.id] = ConversaPlay.buildSpeakers(scenario);
+        });
+
+        this.renderTabs();
+
+        if (manifest.theme && !this.options.theme) {
+            this.setTheme(manifest.theme);
+        }
+
+        const initialId = [this.options.scenario, manifest.defaultScenario]
+            .find(id => id && this.scenarios[id]) || this.scenarioIds[0];
+        this.switchScenario(initialId);
+    }
+
+    renderTabs() {
+        if (!this.tabsContainer) return;
+
+        this.tabsContainer.innerHTML = '';
+        this.scenarioIds.forEach(id => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'tab-btn';
+            button.dataset.tab = id;
+            button.setAttribute('aria-pressed', 'false');
+            button.textContent = this.scenarios[id].label || id;
+            button.addEventListener('click', () => this.switchScenario(id));
+            this.tabsContainer.appendChild(button);
+        });
+    }
+
+    switchScenario(tabId) {
+        const scenario = this.scenarios[tabId];
+        if (!scenario) return;
+
+        if (this.tabsContainer) {
+            this.tabsContainer.querySelectorAll('.tab-btn').forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.tab === tabId);
+                btn.setAttribute('aria-pressed', String(btn.dataset.tab === tabId));
+            });
+        }
+
+        this.switchConversation(scenario.conversation, scenario.audio, tabId);
+    }
+
+    /**
+     * Apply a theme through the CSS custom properties in styles.css. Accepts a
+     * theme name ('light' or 'dark') or an object:
+     *
+     * {
+     *   "mode": "dark",
+     *   "colors": { "accent": "#0EA5E9", "accentStrong": "#0369A1", "userBubble": "#0F172A" },
+     *   "font": "'Inter', sans-serif",
+     *   "bubbleRadius": 12,
+     *   "tagIcons": { "greeting": "<svg>...</svg>" }
+     * }
+     *
+     * Color keys are listed in ConversaPlay.themeProperties; unknown keys are
+     * skipped with a warning. Each call replaces the previous theme; passing
+     * nothing restores the default look.
+     */
+    setTheme(theme) {
+        if (typeof theme === 'string') {
+            theme = { mode: theme };
+        }
+        theme = theme || {};
+
+        const values = Object.assign({}, theme.colors, {
+            font: theme.font,
+            bubbleRadius: typeof theme.bubbleRadius === 'number' ? `${theme.bubbleRadius}px` : theme.bubbleRadius
+        });
+        // A typo in a theme shouldn't keep the player from loading
+        Object.keys(values).forEach(key => {
+            if (!ConversaPlay.themeProperties[key]) {
+                console.warn(`ConversaPlay: ignoring unknown theme color "${key}"`);
+            }
+        });
+
+        // Clear the previous theme before applying this one
+        Object.keys(ConversaPlay.themeProperties).forEach(key => {
+            const property = ConversaPlay.themeProperties[key];
+            if (values[key]) {
+                this.root.style.setProperty(property, values[key]);
+            } else {
+                this.root.style.removeProperty(property);
+            }
+        });
+
+        if (theme.mode) {
+            this.root.dataset.theme = theme.mode;
+        } else {
+            delete this.root.dataset.theme;
+        }
+
+        this.setupTagIcons();
+        Object.assign(this.tagIcons, theme.tagIcons);
+        this.tagNodes.forEach(node => {
+            const type = this.currentTabTriggers[node.index].tag.type;
+            node.element.querySelector('.tag-icon').innerHTML = this.tagIcons[type] || this.tagIcons.greeting;
+        });
+        this.renderTagMarkers();
+        this.drawWaveform();
+
+        this.theme = theme;
+    }
+
+    // The registry entry for a message type; unknown types get a plain left-hand speaker
+    getSpeaker(type) {
+        return this.speakers[type] || { id: type, name: type, side: 'left' };
+    }
+
+    getSpeakerName(type) {
+        return this.getSpeaker(type).name || type;
+    }
+
+    // Legend of the speakers in this conversation, grouped by side
+    renderSpeakers() {
+        const used = new Set(this.conversation.map(message => message.type));
+        const ids = Array.from(new Set(Object.keys(this.speakers).concat(Array.from(used))))
+            .filter(id => used.has(id));
+
+        // With two speakers on one side, their bubbles need names
+        const perSide = {};
+        ids.forEach(id => {
+            const side = this.getSpeaker(id).side;
+            perSide[side] = (perSide[side] || 0) + 1;
+        });
+        this.sharedSides = new Set(Object.keys(perSide).filter(side => perSide[side] > 1));
+
+        if (!this.indicator) return;
+        this.indicator.innerHTML = '';
+        this.speakingType = null;
+        ['left', 'right'].forEach(side => {
+            const group = document.createElement('div');
+            group.className = `indicator-side side-${side}`;
+            ids.filter(id => this.getSpeaker(id).side === side)
+                .forEach(id => group.appendChild(this.createSpeakerBadge(this.getSpeaker(id))));
+            this.indicator.appendChild(group);
+        });
+    }
+
+    createSpeakerBadge(speaker) {
+        const badge = document.createElement('div');
+        badge.className = `speaker-badge side-${speaker.side}`;
+        badge.dataset.speaker = speaker.id;
+        this.applySpeakerColor(badge, speaker);
+
+        if (speaker.avatar) {
+            const avatarEl = document.createElement('img');
+            avatarEl.className = 'speaker-avatar';
+            avatarEl.src = speaker.avatar;
+            avatarEl.alt = '';
+            badge.appendChild(avatarEl);
+        } else if (speaker.icon) {
+            const iconEl = document.createElement('span');
+            iconEl.className = 'speaker-icon';
+            iconEl.innerHTML = speaker.icon;
+            badge.appendChild(iconEl);
+        }
+
+        const nameEl = document.createElement('span');
+        nameEl.className = 'speaker-name';
+        nameEl.textContent = speaker.name || speaker.id;
+        badge.appendChild(nameEl);
+
+        return badge;
+    }
+
+    applySpeakerColor(element, speaker) {
+        if (!speaker.color) return;
+        element.style.setProperty('--speaker-color', speaker.color);
+        element.style.setProperty('--speaker-text', speaker.textColor || ConversaPlay.contrastText(speaker.color));
     }
 
-    setupTagTriggers() {
+    setupTagIcons() {
     // Define SVG icons for each tag type
     this.tagIcons = {
         greeting: `
@@ -53,7 +886,7 @@ class ConversaPlay {
             </svg>
         `,
         empathy: `
-       <svg width="14px" height="14px" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor"><g id="SVGRepo_bgCarrier" stroke-width="2"></g><g id="SVGRepo_tracerCarrier" stroke-linecap="round" stroke-linejoin="round"></g><g id="SVGRepo_iconCarrier"> <path d="M6 20.087H8.61029C8.95063 20.087 9.28888 20.1275 9.61881 20.2085L12.3769 20.8788C12.9753 21.0246 13.5988 21.0387 14.2035 20.9213L17.253 20.328C18.0585 20.1711 18.7996 19.7853 19.3803 19.2204L21.5379 17.1216C22.154 16.5233 22.154 15.5523 21.5379 14.953C20.9832 14.4133 20.1047 14.3526 19.4771 14.8102L16.9626 16.6447C16.6025 16.908 16.1643 17.0497 15.7137 17.0497H13.2855L14.8311 17.0497C15.7022 17.0497 16.4079 16.3632 16.4079 15.5158V15.209C16.4079 14.5054 15.9156 13.8919 15.2141 13.7218L12.8286 13.1416C12.4404 13.0475 12.0428 12.9999 11.6431 12.9999C10.6783 12.9999 8.93189 13.7987 8.93189 13.7987L6 15.0248M2 14.5999L2 20.3999C2 20.9599 2 21.24 2.10899 21.4539C2.20487 21.642 2.35785 21.795 2.54601 21.8909C2.75992 21.9999 3.03995 21.9999 3.6 21.9999H4.4C4.96005 21.9999 5.24008 21.9999 5.45399 21.8909C5.64215 21.795 5.79513 21.642 5.89101 21.4539C6 21.24 6 20.9599 6 20.3999V14.5999C6 14.0398 6 13.7598 5.89101 13.5459C5.79513 13.3577 5.64215 13.2048 5.45399 13.1089C5.24008 12.9999 4.96005 12.9999 4.4 12.9999H3.6C3.03995 12.9999 2.75992 12.9999 2.54601 13.1089C2.35785 13.2048 2.20487 13.3577 2.10899 13.5459C2 13.7598 2 14.0398 2 14.5999ZM17.1914 3.59215C16.5946 2.34329 15.2186 1.68168 13.8804 2.32027C12.5423 2.95886 11.9722 4.47328 12.5325 5.80272C12.8787 6.62435 13.8707 8.2199 14.5781 9.31893C14.8394 9.725 14.9701 9.92804 15.161 10.0468C15.3247 10.1487 15.5297 10.2036 15.7224 10.1972C15.9471 10.1898 16.1618 10.0793 16.5911 9.85832C17.7532 9.26021 19.4101 8.37445 20.1208 7.83602C21.2707 6.96481 21.5556 5.36347 20.6947 4.14614C19.8337 2.9288 18.3327 2.80902 17.1914 3.59215Z" stroke="#currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"></path> </g></svg>
+       <svg width="14px" height="14px" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" stroke="currentColor"><g id="SVGRepo_bgCarrier" stroke-width="2"></g><g id="SVGRepo_tracerCarrier" stroke-linecap="round" stroke-linejoin="round"></g><g id="SVGRepo_iconCarrier"> <path d="M6 20.087H8.61029C8.95063 20.087 9.28888 20.1275 9.61881 20.2085L12.3769 20.8788C12.9753 21.0246 13.5988 21.0387 14.2035 20.9213L17.253 20.328C18.0585 20.1711 18.7996 19.7853 19.3803 19.2204L21.5379 17.1216C22.154 16.5233 22.154 15.5523 21.5379 14.953C20.9832 14.4133 20.1047 14.3526 19.4771 14.8102L16.9626 16.6447C16.6025 16.908 16.1643 17.0497 15.7137 17.0497H13.2855L14.8311 17.0497C15.7022 17.0497 16.4079 16.3632 16.4079 15.5158V15.209C16.4079 14.5054 15.9156 13.8919 15.2141 13.7218L12.8286 13.1416C12.4404 13.0475 12.0428 12.9999 11.6431 12.9999C10.6783 12.9999 8.93189 13.7987 8.93189 13.7987L6 15.0248M2 14.5999L2 20.3999C2 20.9599 2 21.24 2.10899 21.4539C2.20487 21.642 2.35785 21.795 2.54601 21.8909C2.75992 21.9999 3.03995 21.9999 3.6 21.9999H4.4C4.96005 21.9999 5.24008 21.9999 5.45399 21.8909C5.64215 21.795 5.79513 21.642 5.89101 21.4539C6 21.24 6 20.9599 6 20.3999V14.5999C6 14.0398 6 13.7598 5.89101 13.5459C5.79513 13.3577 5.64215 13.2048 5.45399 13.1089C5.24008 12.9999 4.96005 12.9999 4.4 12.9999H3.6C3.03995 12.9999 2.75992 12.9999 2.54601 13.1089C2.35785 13.2048 2.20487 13.3577 2.10899 13.5459C2 13.7598 2 14.0398 2 14.5999ZM17.1914 3.59215C16.5946 2.34329 15.2186 1.68168 13.8804 2.32027C12.5423 2.95886 11.9722 4.47328 12.5325 5.80272C12.8787 6.62435 13.8707 8.2199 14.5781 9.31893C14.8394 9.725 14.9701 9.92804 15.161 10.0468C15.3247 10.1487 15.5297 10.2036 15.7224 10.1972C15.9471 10.1898 16.1618 10.0793 16.5911 9.85832C17.7532 9.26021 19.4101 8.37445 20.1208 7.83602C21.2707 6.96481 21.5556 5.36347 20.6947 4.14614C19.8337 2.9288 18.3327 2.80902 17.1914 3.59215Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"></path> </g></svg>
         `,
         'lead-intake': `
             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
@@ -87,224 +920,329 @@ class ConversaPlay {
             </svg>
         `
     };
-        this.tagTriggers = {
-            tab1: [
-                {
-                    timestamp: 0.5, 
-                    tag: {
-                        type: 'greeting',
-                        label: 'Custom Greeting',
-                        description: 'AI introduces itself with business-specific greeting'
-                    }
-                },
-                {
-                    timestamp: 12.5,
-                    tag: {
-                        type: 'empathy',
-                        label: 'AI Empathy',
-                        description: 'AI shows understanding of customer\'s situation'
-                    }
-                },
-                {
-                    timestamp: 33, 
-                    tag: {
-                        type: 'lead-intake',
-                        label: 'Lead Intake',
-                        description: 'Collecting customer information for follow-up'
-                    }
-                },
-                {
-                    timestamp: 25, 
-                    tag: {
-                        type: 'probing',
-                        label: 'Problem Probing',
-                      
-                        description: 'AI asks detailed questions to understand the issue'
-                    }
-                },
-                {
-                    timestamp: 52,
-                    tag: {
-                        type: 'scheduling',
-                        label: 'Appointment Scheduling',
-                     
-                        description: 'Finding suitable time for service/consultation'
-                    }
-                },
-                {
-                    timestamp: 61.5, // "You're booked for tomorrow..."
-                    tag: {
-                        type: 'confirmation',
-                        label: 'Appointment Confirmed',
-                      
-                        description: 'Final confirmation and next steps provided'
-                    }
-                }
-            ],
-            tab2: [
-            
-                {
-                    timestamp: 8.6, 
-                    tag: {
-                        type: 'empathy',
-                        label: 'AI Empathy',
-                        description: 'AI shows understanding of customer\'s situation'
-                    }
-                },
-                {
-                    timestamp: 19.5, 
-                    tag: {
-                        type: 'lead-intake',
-                        label: 'Lead Intake',
-                       
-                        description: 'Collecting customer information for follow-up'
-                    }
-                },
-                {
-                    timestamp: 41.5, 
-                    tag: {
-                        type: 'scheduling',
-                        label: 'Appointment Scheduling',
-                       
-                        description: 'Finding suitable time for service/consultation'
-                    }
-                },
-                {
-                    timestamp: 50.5, // "You're confirmed for tomorrow at 10 AM..."
-                    tag: {
-                        type: 'confirmation',
-                        label: 'Appointment Confirmed',
-                       
-                        description: 'Final confirmation and next steps provided'
-                    }
-                }
-            ],
-            tab3: [
-                {
-                    timestamp: 0,
-                    tag: {
-                        type: 'greeting',
-                        label: 'Custom Greeting',
-                        description: 'AI introduces itself with business-specific greeting'
-                    }
-                },
-                {
-                    timestamp: 9, // "We can definitely help with that..."
-                    tag: {
-                        type: 'empathy',
-                        label: 'AI Empathy',
-                        description: 'AI shows understanding of customer\'s situation'
-                    }
-                },
-                {
-                    timestamp: 14.5, // "Great! Let's get you taken care of. May I have your full name?"
-                    tag: {
-                        type: 'lead-intake',
-                        label: 'Lead Intake',
-                        description: 'Collecting customer information for follow-up'
-                    }
-                },
-                {
-                    timestamp: 28.5, // "Okay great — is your pain recent or something..."
-                    tag: {
-                        type: 'probing',
-                        label: 'Problem Probing',
-                        description: 'AI asks detailed questions to understand the issue'
-                    }
-                },
-                {
-                    timestamp: 36.5, // "Thanks for sharing that. I have availability..."
-                    tag: {
-                        type: 'scheduling',
-                        label: 'Appointment Scheduling',
-                        description: 'Finding suitable time for service/consultation'
-                    }
-                },
-                {
-                    timestamp: 48, // "You're booked for tomorrow at 11:30 AM..."
-                    tag: {
-                        type: 'confirmation',
-                        label: 'Appointment Confirmed',
-                        description: 'Final confirmation and next steps provided'
-                    }
-                }
-            ]
-        };
-        
-        this.currentTabTriggers = this.tagTriggers.tab1; // Default to tab1
     }
 
     setupAudio() {
-        this.audio.addEventListener('loadedmetadata', () => {
-            this.duration = this.audio.duration;
-            this.totalTimeEl.textContent = this.formatTime(this.duration);
+        const audio = this.audio;
+
+        audio.addEventListener('loadedmetadata', () => {
+            if (audio !== this.audio || this.usingFallback) return;
+            this.clearAudioTimer();
+            this.setDuration(audio.duration);
         });
 
-        this.audio.addEventListener('timeupdate', () => {
-            if (!this.isDragging) {
-                this.updateProgress();
-                this.scheduleMessageUpdate();
-                
-                // Check if audio has reached the end
-                if (this.audio.currentTime >= this.duration - 0.1 && this.duration > 0 && !this.hasEnded) {
-                    this.handleAudioEnd();
+        audio.addEventListener('canplay', () => {
+            if (audio !== this.audio) return;
+            if (this.usingFallback) {
+                // Blocked autoplay waits for "Tap for sound" instead
+                if (this.fallbackReason !== 'autoplay') {
+                    this.restoreAudio();
                 }
+            } else {
+                this.clearAudioTimer();
             }
         });
 
-        this.audio.addEventListener('ended', () => {
-            this.handleAudioEnd();
+        audio.addEventListener('playing', () => {
+            if (audio === this.audio && !this.usingFallback) {
+                this.clearAudioTimer();
+            }
         });
 
-        // Load audio metadata
-        this.audio.load();
-    }
-
-    setupEventListeners() {
-        this.playPauseBtn.addEventListener('click', () => this.togglePlayPause());
-        
-        // Mute button now acts as restart button
-        this.muteBtn.addEventListener('click', () => this.restartConversation());
-        
-        // Progress bar click to seek
-        this.progressBar.addEventListener('click', (e) => {
-            if (!this.isDragging) {
-                this.seekToPosition(e);
+        // Buffering mid-playback: give the network a while before going silent
+        const watchStall = () => {
+            if (audio === this.audio && !this.usingFallback && this.animationFrameId && !this.audioTimer) {
+                this.watchAudio();
             }
+        };
+        audio.addEventListener('waiting', watchStall);
+        audio.addEventListener('stalled', watchStall);
+
+        audio.addEventListener('error', () => {
+            if (audio !== this.audio) return;
+            this.useFallbackClock('error');
+
+            // Try the file again later in case the network comes back
+            this.clearAudioTimer();
+            this.audioTimer = setTimeout(() => {
+                this.audioTimer = null;
+                audio.load();
+            }, this.options.audioRetryInterval);
         });
-        
-        // Scrubber drag
-        this.scrubber.addEventListener('mousedown', (e) => {
-            this.isDragging = true;
-            e.preventDefault();
-        });
-        
-        document.addEventListener('mousemove', (e) => {
-            if (this.isDragging) {
-                this.handleDrag(e);
+
+        this.bindClock(audio);
+
+        // Load audio metadata; how long it may take is only timed once play is
+        // pressed (see play()), since browsers may hold off loading until then
+        audio.load();
+    }
+
+    // timeupdate and ended come from whichever clock is driving playback
+    bindClock(media) {
+        media.addEventListener('timeupdate', () => {
+            if (media !== this.media || this.isDragging) return;
+
+            this.updateProgress();
+            this.scheduleMessageUpdate();
+
+            // Check if audio has reached the end
+            if (media.currentTime >= this.duration - 0.1 && this.duration > 0 && !this.hasEnded) {
+                this.handleAudioEnd();
             }
         });
-        
-        document.addEventListener('mouseup', (e) => {
-            if (this.isDragging) {
-                this.isDragging = false;
-                this.handleDragEnd(e);
+
+        media.addEventListener('ended', () => {
+            if (media === this.media) {
+                this.handleAudioEnd();
             }
         });
+    }
 
-        // Touch support
-        this.scrubber.addEventListener('touchstart', (e) => {
-            this.isDragging = true;
-            e.preventDefault();
+    setDuration(duration) {
+        this.duration = duration;
+        this.totalTimeEl.textContent = this.formatTime(this.duration);
+        this.progressBar.setAttribute('aria-valuemax', String(Math.round(this.duration)));
+        this.renderTagMarkers();
+        this.renderSearchMarkers();
+        this.updateProgress();
+    }
+
+    watchAudio() {
+        this.clearAudioTimer();
+        this.audioTimer = setTimeout(() => {
+            this.audioTimer = null;
+            this.useFallbackClock('timeout');
+        }, this.options.audioTimeout);
+    }
+
+    clearAudioTimer() {
+        if (this.audioTimer) {
+            clearTimeout(this.audioTimer);
+            this.audioTimer = null;
+        }
+    }
+
+    /**
+     * Play the transcript silently on a timer when the audio fails to load,
+     * is blocked, or stalls for longer than options.audioTimeout. The clock
+     * runs from the current position to the end of the last line, and the
+     * audio element keeps loading so restoreAudio() can take over later.
+     */
+    useFallbackClock(reason) {
+        if (this.usingFallback) return;
+
+        const time = this.media.currentTime;
+        const wasPlaying = this.animationFrameId !== null;
+        this.audio.pause();
+
+        this.usingFallback = true;
+        this.fallbackReason = reason;
+        this.media = new ConversaPlayClock(this.getTranscriptDuration());
+        this.media.playbackRate = this.playbackRate;
+        this.media.currentTime = time;
+        this.bindClock(this.media);
+        this.setDuration(this.media.duration);
+
+        if (this.audioNotice && reason !== 'autoplay') {
+            this.audioNotice.hidden = false;
+        }
+        if (wasPlaying) {
+            this.playMedia();
+        }
+
+        this.emit('audio-fallback', { reason: reason });
+    }
+
+    // The recording turned up after all, or is being tried again: carry on
+    // from the same spot with sound
+    restoreAudio() {
+        const clock = this.media;
+        const wasPlaying = this.animationFrameId !== null;
+        clock.pause();
+
+        this.clearAudioTimer();
+        this.usingFallback = false;
+        this.fallbackReason = null;
+        this.media = this.audio;
+        // Without metadata yet, loadedmetadata sets the real duration later
+        if (this.audio.duration > 0) {
+            this.setDuration(this.audio.duration);
+        }
+        this.audio.currentTime = Math.min(clock.currentTime, this.duration);
+
+        if (this.audioNotice) {
+            this.audioNotice.hidden = true;
+        }
+        if (wasPlaying) {
+            this.playMedia();
+        }
+
+        this.emit('audio-restored');
+    }
+
+    // Without audio the scenario lasts until its last line has been revealed
+    getTranscriptDuration() {
+        const ends = this.conversation.map(message => message.timestamp + this.getRevealDuration(message));
+        this.currentTabTriggers.forEach(trigger => ends.push(trigger.timestamp));
+        return Math.max(0, ...ends) + 1;
+    }
+
+    setupEventListeners() {
+        this.playPauseBtn.addEventListener('click', () => this.togglePlayPause());
+        
+        // Mute button now acts as restart button
+        this.muteBtn.addEventListener('click', () => this.restartConversation());
+
+        if (this.soundBtn) {
+            this.soundBtn.addEventListener('click', () => this.enableSound());
+        }
+
+        // Previous / next line and playback speed
+        if (this.prevBtn) {
+            this.prevBtn.addEventListener('click', () => this.skipUtterance(-1));
+        }
+        if (this.nextBtn) {
+            this.nextBtn.addEventListener('click', () => this.skipUtterance(1));
+        }
+        if (this.speedSelect) {
+            this.speedSelect.addEventListener('change', () => this.setPlaybackRate(Number(this.speedSelect.value)));
+        }
+
+        // Transcript search
+        if (this.searchBar) {
+            const input = this.searchBar.querySelector('.search-input');
+            const scope = this.searchBar.querySelector('.search-all');
+            input.addEventListener('input', () => this.search(input.value));
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.stepSearch(e.shiftKey ? -1 : 1);
+                } else if (e.key === 'Escape' && input.value) {
+                    e.preventDefault();
+                    input.value = '';
+                    this.search('');
+                }
+            });
+            scope.addEventListener('change', () => this.search(input.value, { global: scope.checked }));
+            this.searchBar.querySelector('.search-prev').addEventListener('click', () => this.stepSearch(-1));
+            this.searchBar.querySelector('.search-next').addEventListener('click', () => this.stepSearch(1));
+        }
+
+        // Transcript export menu
+        if (this.exportMenu) {
+            const exportBtn = this.exportMenu.querySelector('.export-btn');
+            const closeMenu = () => {
+                this.exportMenu.classList.remove('open');
+                exportBtn.setAttribute('aria-expanded', 'false');
+            };
+            exportBtn.addEventListener('click', () => {
+                const open = this.exportMenu.classList.toggle('open');
+                exportBtn.setAttribute('aria-expanded', String(open));
+            });
+            this.exportMenu.querySelectorAll('.export-option').forEach(option => {
+                option.addEventListener('click', () => {
+                    closeMenu();
+                    exportBtn.focus();
+                    this.downloadTranscript(option.dataset.format);
+                });
+            });
+            this.exportMenu.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && this.exportMenu.classList.contains('open')) {
+                    e.preventDefault();
+                    closeMenu();
+                    exportBtn.focus();
+                }
+            });
+            // composedPath() sees into <conversa-play>'s shadow root, where the
+            // event target is retargeted to the host element
+            this.listenGlobal(document, 'click', (e) => {
+                if (this.exportMenu.classList.contains('open') && e.composedPath().indexOf(this.exportMenu) === -1) {
+                    closeMenu();
+                }
+            });
+        }
+        
+        // Click a transcript line to jump to it, or a masked token to reveal it.
+        // From the keyboard, N and P step through the lines instead.
+        this.conversationWindow.addEventListener('click', (e) => {
+            const piiEl = this.options.revealRedacted && e.target.closest('.pii');
+            const lineEl = e.target.closest('.message-text[data-index]');
+            if (piiEl && lineEl) {
+                this.toggleRedaction(piiEl, Number(lineEl.dataset.index));
+            } else if (lineEl) {
+                this.seekToMessage(Number(lineEl.dataset.index));
+            }
+        });
+        this.conversationWindow.addEventListener('keydown', (e) => {
+            const piiEl = e.target.closest('.pii');
+            const lineEl = e.target.closest('.message-text[data-index]');
+            if (piiEl && lineEl && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.toggleRedaction(piiEl, Number(lineEl.dataset.index));
+            }
+        });
+        
+        // Tag markers and rendered tag chips work as chapter links
+        this.tagMarkers.addEventListener('click', (e) => {
+            const markerEl = e.target.closest('.tag-marker');
+            if (markerEl) {
+                e.stopPropagation();
+                this.seekToTag(Number(markerEl.dataset.index));
+            }
+        });
+        this.tagsContent.addEventListener('click', (e) => {
+            const tagEl = e.target.closest('.conversation-tag[data-index]');
+            if (tagEl) {
+                this.seekToTag(Number(tagEl.dataset.index));
+            }
+        });
+        this.tagsContent.addEventListener('keydown', (e) => {
+            const tagEl = e.target.closest('.conversation-tag[data-index]');
+            if (tagEl && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.seekToTag(Number(tagEl.dataset.index));
+            }
+        });
+        
+        // Progress bar click to seek
+        this.progressBar.addEventListener('click', (e) => {
+            if (!this.isDragging) {
+                this.seekToPosition(e);
+            }
+        });
+        
+        // Scrubber drag
+        this.scrubber.addEventListener('mousedown', (e) => {
+            this.isDragging = true;
+            e.preventDefault();
+        });
+        
+        this.listenGlobal(document, 'mousemove', (e) => {
+            if (this.isDragging) {
+                this.handleDrag(e);
+            }
+        });
+        
+        this.listenGlobal(document, 'mouseup', (e) => {
+            if (this.isDragging) {
+                this.isDragging = false;
+                this.handleDragEnd(e);
+            }
+        });
+
+        // Touch support
+        this.scrubber.addEventListener('touchstart', (e) => {
+            this.isDragging = true;
+            e.preventDefault();
         });
 
-        document.addEventListener('touchmove', (e) => {
+        this.listenGlobal(document, 'touchmove', (e) => {
             if (this.isDragging) {
                 this.handleDrag(e.touches[0]);
             }
         });
 
-        document.addEventListener('touchend', (e) => {
+        this.listenGlobal(document, 'touchend', (e) => {
             if (this.isDragging) {
                 this.isDragging = false;
                 if (e.changedTouches[0]) {
@@ -313,8 +1251,20 @@ class ConversaPlay {
             }
         });
 
-        // Keyboard navigation
-        document.addEventListener('keydown', (e) => {
+        // Timeline as a keyboard slider
+        this.progressBar.addEventListener('keydown', (e) => this.handleSliderKey(e));
+
+        // Shortcuts only apply while focus is inside this widget. The root is
+        // focusable, so clicking anywhere in a player hands it the shortcuts.
+        if (!this.root.hasAttribute('tabindex')) {
+            this.root.setAttribute('tabindex', '-1');
+        }
+        this.root.addEventListener('keydown', (e) => {
+            if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+            // Leave typing in form fields alone, and let focused buttons handle Space themselves
+            if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+            if (e.code === 'Space' && e.target.closest('button, [role="button"], [role="slider"]')) return;
+
             if (e.code === 'Space') {
                 e.preventDefault();
                 this.togglePlayPause();
@@ -324,6 +1274,95 @@ class ConversaPlay {
                 e.preventDefault();
                 this.restartConversation();
             }
+            // N / P for next and previous line
+            if (e.code === 'KeyN' || e.code === 'KeyP') {
+                e.preventDefault();
+                this.skipUtterance(e.code === 'KeyN' ? 1 : -1);
+            }
+            // Period / comma for faster and slower playback
+            if (e.code === 'Period' || e.code === 'Comma') {
+                e.preventDefault();
+                this.stepPlaybackRate(e.code === 'Period' ? 1 : -1);
+            }
+            // Slash to search the transcript
+            if (e.key === '/' && this.searchBar) {
+                e.preventDefault();
+                this.searchBar.querySelector('.search-input').focus();
+            }
+        });
+    }
+
+    handleSliderKey(e) {
+        const step = 5;
+        const page = Math.max(step, this.duration / 10);
+        const time = this.media.currentTime;
+        const targets = {
+            ArrowRight: time + step,
+            ArrowUp: time + step,
+            ArrowLeft: time - step,
+            ArrowDown: time - step,
+            PageUp: time + page,
+            PageDown: time - page,
+            Home: 0,
+            End: this.duration
+        };
+        if (!(e.key in targets) || !(this.duration > 0)) return;
+
+        e.preventDefault();
+        this.seekToTime(Math.max(0, Math.min(this.duration, targets[e.key])));
+    }
+
+    /**
+     * Subscribe to player lifecycle events. Every payload carries `tabId`
+     * and `currentTime` (seconds); the extra fields are:
+     *
+     *   play              -
+     *   pause             { automatic }   automatic when autoplay paused off screen;
+     *                                     no pause when playback reaches the end, see ended
+     *   seek              { from, to }
+     *   message           { message, index }   a line appearing during playback
+     *   tag               { tag, index, timestamp }
+     *   lead-field        { field, value }   a lead card field filled in during playback
+     *   search            { query, global, hits }
+     *   ended             { duration }
+     *   restart           -
+     *   scenario-change   { previousTabId, scenario }
+     *   audio-fallback    { reason }   'error', 'timeout' or 'autoplay'; now playing silently
+     *   audio-restored    -            the audio loaded after all, or play tried it again
+     *
+     * Lines, tags and lead fields re-rendered by a seek do not fire their events; listen
+     * for seek instead. Returns the player so calls can be chained.
+     */
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return this;
+    }
+
+    off(event, handler) {
+        const handlers = this.listeners[event];
+        if (handlers) {
+            this.listeners[event] = handler ? handlers.filter(h => h !== handler) : [];
+        }
+        return this;
+    }
+
+    emit(event, detail = {}) {
+        const handlers = this.listeners[event];
+        if (!handlers || handlers.length === 0) return;
+
+        const payload = Object.assign({
+            type: event,
+            tabId: this.currentTabId,
+            currentTime: this.media.currentTime
+        }, detail);
+
+        // A failing listener must not break playback or the other listeners
+        handlers.slice().forEach(handler => {
+            try {
+                handler.call(this, payload);
+            } catch (error) {
+                console.error(`ConversaPlay: "${event}" listener failed`, error);
+            }
         });
     }
 
@@ -332,7 +1371,7 @@ class ConversaPlay {
             // If audio has ended, restart from beginning
             this.restartConversation();
             this.play();
-        } else if (this.audio.paused) {
+        } else if (this.media.paused) {
             this.play();
         } else {
             this.pause();
@@ -340,35 +1379,186 @@ class ConversaPlay {
     }
     
     play() {
-        this.audio.play();
+        // After a load timeout, pressing play gives the recording another try
+        if (this.usingFallback && this.fallbackReason === 'timeout') {
+            this.restoreAudio();
+        }
+        // Audio that can't start yet gets options.audioTimeout to do so
+        if (!this.usingFallback && this.audio.readyState < HTMLMediaElement.HAVE_FUTURE_DATA) {
+            this.watchAudio();
+        }
 
-        document.querySelector('#playIcon').style.display = 'none';
-        document.querySelector('#pauseIcon').style.display = 'block';
+        const wasPaused = this.media.paused;
+        this.playMedia();
+        this.connectAnalyser();
+        this.requestWaveform();
+
+        this.updatePlayButton(true);
 
         this.hasEnded = false;
         this.startAnimationLoop();
+
+        if (wasPaused) {
+            this.emit('play');
+        }
     }
 
-    pause() {
-        this.audio.pause();
+    // `{ automatic: true }` marks a pause the player made itself, e.g. when
+    // autoplay stops off screen, so it isn't mistaken for the visitor leaving
+    pause(options = {}) {
+        const wasPlaying = !this.media.paused;
+        this.media.pause();
+        // Nothing is waiting on the audio while paused
+        if (!this.usingFallback) {
+            this.clearAudioTimer();
+        }
 
-        document.querySelector('#playIcon').style.display = 'block';
-        document.querySelector('#pauseIcon').style.display = 'none';
+        this.updatePlayButton(false);
 
         this.stopAnimationLoop();
+        this.updateSpeaking();
+
+        // Reaching the end reports ended instead, so pauses count drop-off only
+        if (wasPlaying && !this.hasEnded) {
+            this.emit('pause', { automatic: !!options.automatic });
+        }
+    }
+
+    playMedia() {
+        const media = this.media;
+        const playing = media.play();
+        if (!playing) return;
+
+        playing.catch(error => {
+            // A later pause() or scenario switch interrupted this play()
+            if (media !== this.media || error.name === 'AbortError') return;
+
+            if (error.name === 'NotAllowedError' && this.audio.muted) {
+                // Even muted autoplay is blocked: show the transcript on its own
+                this.useFallbackClock('autoplay');
+            } else if (error.name === 'NotAllowedError') {
+                // Autoplay was blocked; wait for the visitor to press play
+                this.pause();
+            } else {
+                this.useFallbackClock('error');
+            }
+        });
+    }
+
+    /**
+     * Autoplay within browser policies: start muted once at least half the
+     * widget is in view, pause while it is scrolled away or the tab is hidden,
+     * and resume when it comes back. A pause the visitor made is left alone.
+     */
+    setupAutoPlay() {
+        if (typeof IntersectionObserver === 'undefined' || this.viewObserver) return;
+
+        this.viewObserver = new IntersectionObserver(entries => {
+            this.inView = entries[entries.length - 1].isIntersecting;
+            this.updateAutoPlay();
+        }, { threshold: 0.5 });
+        this.viewObserver.observe(this.root);
+
+        this.onAutoPlayVisibility = () => this.updateAutoPlay();
+        document.addEventListener('visibilitychange', this.onAutoPlayVisibility);
+    }
+
+    stopAutoPlay() {
+        if (!this.viewObserver) return;
+
+        this.viewObserver.disconnect();
+        this.viewObserver = null;
+        document.removeEventListener('visibilitychange', this.onAutoPlayVisibility);
+        this.onAutoPlayVisibility = null;
+    }
+
+    /**
+     * Turn autoplay on or off. Turning it on (again) starts over once the
+     * current manifest has loaded, so a newly loaded manifest autoplays too.
+     */
+    setAutoPlay(enabled) {
+        this.options.autoPlay = enabled;
+        this.stopAutoPlay();
+        this.autoPlayStarted = false;
+        this.autoPaused = false;
+
+        if (enabled) {
+            // Load failures are reported by whoever handles this.ready
+            const ready = this.ready;
+            ready.then(() => {
+                if (this.options.autoPlay && ready === this.ready) {
+                    this.setupAutoPlay();
+                }
+            }, () => {});
+        }
+    }
+
+    updateAutoPlay() {
+        const visible = this.inView && document.visibilityState !== 'hidden';
+        const playing = this.animationFrameId !== null;
+
+        if (visible && !this.autoPlayStarted) {
+            this.autoPlayStarted = true;
+            // Someone who already pressed play doesn't need autoplay
+            if (!playing && this.media.currentTime === 0 && !this.hasEnded) {
+                this.audio.muted = true;
+                this.updateSoundButton();
+                this.play();
+            }
+        } else if (visible && this.autoPaused) {
+            this.autoPaused = false;
+            this.play();
+        } else if (!visible && playing) {
+            this.autoPaused = true;
+            this.pause({ automatic: true });
+        }
+    }
+
+    // "Tap for sound": the click is the gesture browsers want before playing audio
+    enableSound() {
+        this.audio.muted = false;
+        this.updateSoundButton();
+        this.connectAnalyser();
+
+        if (this.usingFallback && this.fallbackReason === 'autoplay') {
+            if (this.audio.readyState >= HTMLMediaElement.HAVE_FUTURE_DATA) {
+                this.restoreAudio();
+            } else {
+                // Not loaded yet; canplay hands over once it is
+                this.fallbackReason = 'timeout';
+            }
+        }
+    }
+
+    updateSoundButton() {
+        if (this.soundBtn) {
+            this.soundBtn.hidden = !this.audio.muted;
+        }
+    }
+
+    updatePlayButton(isPlaying) {
+        this.playIcon.style.display = isPlaying ? 'none' : 'block';
+        this.pauseIcon.style.display = isPlaying ? 'block' : 'none';
+        this.playPauseBtn.setAttribute('aria-label', isPlaying ? 'Pause' : 'Play');
     }
 
     handleAudioEnd() {
+        // Both the near-end timeupdate check and the ended event land here
+        const alreadyEnded = this.hasEnded;
         this.hasEnded = true;
         this.pause();
+        this.updateReveal(Infinity);
         
         // Ensure progress bar is at 100%
         this.progressFill.style.width = '100%';
         this.currentTimeEl.textContent = this.formatTime(this.duration);
         
         // Reset play button to play state (it will restart when clicked)
-        document.querySelector('#playIcon').style.display = 'block';
-        document.querySelector('#pauseIcon').style.display = 'none';
+        this.updatePlayButton(false);
+
+        if (!alreadyEnded) {
+            this.emit('ended', { duration: this.duration });
+        }
     }
 
     startAnimationLoop() {
@@ -397,133 +1587,684 @@ class ConversaPlay {
 
     restartConversation() {
         this.pause();
-        this.audio.currentTime = 0;
+        this.media.currentTime = 0;
         this.hasEnded = false;
 
-        // Clear and reset conversation display
-        this.conversationWindow.innerHTML = '';
-        this.renderedMessages.clear();
-        this.renderedTags.clear();
+        // Clear and reset conversation display and tags
+        this.clearRendered();
         this.progressFill.style.width = '0%';
         this.currentTimeEl.textContent = '0:00';
 
-        // Clear tags
-        this.tagsContent.innerHTML = '';
-        this.tagsContainer.style.opacity = '0';
-        this.tagsContainer.style.transform = 'translateY(20px)';
-
-        // Reset tracking variables
-        this.lastMessageElement = null;
-        this.lastMessageType = null;
-
         // Update play button to play state
-        document.querySelector('#playIcon').style.display = 'block';
-        document.querySelector('#pauseIcon').style.display = 'none';
+        this.updatePlayButton(false);
 
-        const restartIcon = document.querySelector('#restartIcon');
-        restartIcon.classList.add('spinning');
+        this.restartIcon.classList.add('spinning');
         setTimeout(() => {
-            restartIcon.classList.remove('spinning');
+            this.restartIcon.classList.remove('spinning');
         }, 300); // match animation duration
+
+        this.emit('restart');
     }
 
     updateProgress() {
-        const progress = (this.audio.currentTime / this.duration) * 100;
+        const currentTime = this.media.currentTime;
+        // Duration is 0 until the audio (or the fallback clock) reports one
+        const progress = this.duration > 0 ? Math.min(100, (currentTime / this.duration) * 100) : 0;
         this.progressFill.style.width = `${progress}%`;
-        this.currentTimeEl.textContent = this.formatTime(this.audio.currentTime);
+        this.currentTimeEl.textContent = this.formatTime(currentTime);
+        if (this.waveformPlayed) {
+            this.waveformPlayed.style.clipPath = `inset(0 ${100 - progress}% 0 0)`;
+        }
+        
+        this.progressBar.setAttribute('aria-valuenow', String(Math.round(currentTime)));
+        this.progressBar.setAttribute('aria-valuetext', `${this.formatTime(currentTime)} of ${this.formatTime(this.duration)}`);
     }
 
-    updateMessages() {
-        if (this.hasEnded) return;
-        
-        const currentTime = this.audio.currentTime;
-        const now = performance.now();
-        
-        // Throttle updates to ~60fps for smooth performance
-        if (now - this.lastRenderTime < 16) {
+    announce(text) {
+        this.liveRegion.textContent = text;
+    }
+
+    /**
+     * Show the current audio's waveform behind the timeline once its peaks
+     * are decoded. Decoding downloads the whole file a second time, so it
+     * waits until the player is in view or starts playing; see
+     * requestWaveform(). Peaks come from ConversaPlay.loadPeaks(), cached per
+     * file, so switching back to a tab reuses them instead of decoding again.
+     */
+    loadWaveform() {
+        this.peaks = null;
+        this.peaksSrc = null;
+        this.progressBar.classList.remove('has-waveform');
+
+        if (this.waveformVisible) {
+            this.requestWaveform();
+        }
+    }
+
+    // Fetch and draw the current audio's peaks, unless that has begun already
+    requestWaveform() {
+        const src = this.audioSrc;
+        if (!this.options.waveform || !src || this.peaksSrc === src) return;
+
+        this.peaksSrc = src;
+        ConversaPlay.loadPeaks(src).then(peaks => {
+            // Another tab may have been opened while decoding
+            if (!peaks || src !== this.audioSrc) return;
+
+            this.peaks = peaks;
+            this.drawWaveform();
+        });
+    }
+
+    // Track whether the player is in view, and load the waveform when it is.
+    // Without IntersectionObserver it counts as always in view.
+    watchWaveformView() {
+        if (!this.options.waveform) return;
+
+        if (typeof IntersectionObserver === 'undefined') {
+            this.waveformVisible = true;
             return;
         }
-        this.lastRenderTime = now;
-        
-        // Update messages
-        this.conversation.forEach((message, index) => {
-            // Show message if we've reached its timestamp
-            if (currentTime >= message.timestamp && !this.renderedMessages.has(index)) {
-                this.showMessage(message, index);
+        this.waveformViewObserver = new IntersectionObserver(entries => {
+            this.waveformVisible = entries[entries.length - 1].isIntersecting;
+            if (this.waveformVisible) {
+                this.requestWaveform();
             }
         });
-        
-        // Update tags based on current time
-        this.updateTags(currentTime);
+        this.waveformViewObserver.observe(this.root);
     }
 
-    updateTags(currentTime) {
-        // Check tag triggers for current tab
-        this.currentTabTriggers.forEach((trigger, index) => {
-            if (currentTime >= trigger.timestamp && !this.renderedTags.has(index)) {
-                this.showTag(trigger.tag);
-                this.renderedTags.add(index);
+    // Paint the peaks as bars tinted by whoever is speaking at that moment.
+    // Two copies are stacked; the played one is clipped to the progress.
+    drawWaveform() {
+        if (!this.peaks) return;
+
+        if (!this.waveform) {
+            this.waveform = document.createElement('canvas');
+            this.waveform.className = 'waveform';
+            this.waveformPlayed = document.createElement('canvas');
+            this.waveformPlayed.className = 'waveform waveform-played';
+            [this.waveform, this.waveformPlayed].forEach(canvas => {
+                canvas.setAttribute('aria-hidden', 'true');
+                this.progressBar.insertBefore(canvas, this.progressFill);
+            });
+
+            if (typeof ResizeObserver !== 'undefined') {
+                this.waveformObserver = new ResizeObserver(() => this.drawWaveform());
+                this.waveformObserver.observe(this.progressBar);
             }
-        });
+        }
+        this.progressBar.classList.add('has-waveform');
+
+        const width = this.progressBar.clientWidth;
+        const height = this.progressBar.clientHeight;
+        if (!width || !height) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        const { peaks, duration } = this.peaks;
+        const loudest = this.peaks.loudest || 1;
+        const barWidth = 2;
+        const step = barWidth + 1;
+        const bars = Math.floor(width / step);
+
+        const styles = getComputedStyle(this.root);
+        const silenceColor = styles.getPropertyValue('--cp-track').trim();
+        const sideColors = {
+            left: styles.getPropertyValue('--cp-accent').trim(),
+            right: styles.getPropertyValue('--cp-user-bubble').trim()
+        };
+
+        this.waveform.width = Math.round(width * ratio);
+        this.waveform.height = Math.round(height * ratio);
+        const context = this.waveform.getContext('2d');
+        context.scale(ratio, ratio);
+
+        // Walk the lines in time order alongside the bars
+        let position = -1;
+        for (let bar = 0; bar < bars; bar++) {
+            const time = ((bar + 0.5) / bars) * duration;
+            while (position + 1 < this.messageOrder.length &&
+                this.conversation[this.messageOrder[position + 1]].timestamp <= time) {
+                position++;
+            }
+
+            let color = silenceColor;
+            if (position >= 0) {
+                const message = this.conversation[this.messageOrder[position]];
+                const next = this.conversation[this.messageOrder[position + 1]];
+                const end = message.duration > 0 ? message.timestamp + message.duration : (next ? next.timestamp : duration);
+                if (time < end) {
+                    const speaker = this.getSpeaker(message.type);
+                    color = speaker.color || sideColors[speaker.side];
+                }
+            }
+
+            const from = Math.floor((bar / bars) * peaks.length);
+            const to = Math.max(from + 1, Math.floor(((bar + 1) / bars) * peaks.length));
+            let peak = 0;
+            for (let i = from; i < to; i++) {
+                peak = Math.max(peak, peaks[i]);
+            }
+
+            const barHeight = Math.max(2, (peak / loudest) * height);
+            context.fillStyle = color;
+            context.fillRect(bar * step, (height - barHeight) / 2, barWidth, barHeight);
+        }
+
+        this.waveformPlayed.width = this.waveform.width;
+        this.waveformPlayed.height = this.waveform.height;
+        this.waveformPlayed.getContext('2d').drawImage(this.waveform, 0, 0);
+        this.updateProgress();
     }
 
-showTag(tagData) {
-    const tagElement = document.createElement('div');
-    tagElement.className = `conversation-tag tag-${tagData.type}`;
-    
-    // Use SVG icon based on tag type
-    const iconSVG = this.tagIcons[tagData.type] || this.tagIcons.greeting;
-    
-    tagElement.innerHTML = `
-        <span class="tag-icon">${iconSVG}</span>
-        <span class="tag-label">${tagData.label}</span>
-    `;
-    
-    tagElement.title = tagData.description;
-    tagElement.style.opacity = '0';
-    tagElement.style.transform = 'scale(0.8)';
-    tagElement.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
-    
-    this.tagsContent.appendChild(tagElement);
-    
-    if (this.renderedTags.size === 1) {
-        setTimeout(() => {
-            this.tagsContainer.style.opacity = '1';
-            this.tagsContainer.style.transform = 'translateY(0)';
-            this.tagsContainer.style.transition = 'opacity 0.5s ease, transform 0.5s ease';
-        }, 300);
+    // Draw every tag trigger of the current tab as a chapter marker on the timeline
+    renderTagMarkers() {
+        this.tagMarkers.innerHTML = '';
+        if (!(this.duration > 0)) return;
+
+        this.currentTabTriggers.forEach((trigger, index) => {
+            const markerEl = document.createElement('button');
+            markerEl.type = 'button';
+            markerEl.className = `tag-marker tag-${trigger.tag.type}`;
+            markerEl.classList.toggle('reached', this.renderedTags.has(index));
+            markerEl.dataset.index = index;
+            markerEl.style.left = `${Math.min(100, (trigger.timestamp / this.duration) * 100)}%`;
+            markerEl.setAttribute('aria-label', `${trigger.tag.label} at ${this.formatTime(trigger.timestamp)}`);
+            markerEl.innerHTML = `
+                ${this.tagIcons[trigger.tag.type] || this.tagIcons.greeting}
+                <span class="tag-marker-label">${trigger.tag.label}</span>
+            `;
+            this.tagMarkers.appendChild(markerEl);
+        });
     }
-    
-    setTimeout(() => {
-        tagElement.style.opacity = '1';
-        tagElement.style.transform = 'scale(1)';
-    }, 500);
-}
 
-    showMessage(message, index) {
-        // Check if this is a consecutive message from the same user
-        if (this.lastMessageElement && this.lastMessageType === message.type) {
-            // Add to existing message box with fade animation
-            this.appendToExistingMessage(message, index);
-        } else {
-            // Create new message box
-            this.createNewMessage(message, index);
+    /**
+     * Find every line of the active scenario containing `query`, ignoring
+     * case, whether or not it has been reached yet. With `{ global: true }`
+     * every scenario in the manifest is searched and stepping to a hit in
+     * another scenario switches to its tab. The scope sticks until changed.
+     * Returns the hits as { tabId, index, timestamp }.
+     */
+    search(query, options = {}) {
+        this.searchQuery = (query || '').trim();
+        if ('global' in options) {
+            this.searchGlobal = !!options.global;
         }
-        
-        this.renderedMessages.add(index);
-        
-        // Scroll to bottom after a short delay to ensure DOM is updated
-        this.scheduleScrollToBottom();
+
+        this.searchHits = this.findSearchHits(this.searchQuery, this.searchGlobal);
+        this.searchPosition = -1;
+        this.clearSearchHighlight();
+        this.renderSearchMarkers();
+        this.updateSearchStatus();
+
+        this.emit('search', { query: this.searchQuery, global: this.searchGlobal, hits: this.searchHits.length });
+        return this.searchHits;
     }
 
-    createNewMessage(message, index) {
-        const messageEl = this.createMessageElement(message);
-        messageEl.dataset.index = index;
+    findSearchHits(query, global) {
+        if (!query) return [];
+
+        const needle = query.toLowerCase();
+        const tabIds = global ? this.scenarioIds : [this.currentTabId];
+        const hits = [];
+        tabIds.forEach(tabId => {
+            // Match what the bubbles show, so masked details can't be searched for
+            let texts;
+            if (tabId === this.currentTabId) {
+                texts = this.conversation.map((message, index) => this.getLineText(index));
+            } else {
+                const scenario = this.scenarios[tabId];
+                texts = this.options.redact
+                    ? ConversaPlay.redactConversation(scenario.conversation, scenario.redact || {}, this.scenarioSpeakers[tabId])
+                        .map(segments => segments.map(segment => segment.text).join(''))
+                    : scenario.conversation.map(message => message.text);
+            }
+
+            const conversation = this.scenarios[tabId].conversation;
+            texts.map((text, index) => index)
+                .filter(index => texts[index].toLowerCase().indexOf(needle) !== -1)
+                .sort((a, b) => conversation[a].timestamp - conversation[b].timestamp)
+                .forEach(index => hits.push({ tabId: tabId, index: index, timestamp: conversation[index].timestamp }));
+        });
+        return hits;
+    }
+
+    // Seek to the next (1) or previous (-1) hit, wrapping around at either end
+    stepSearch(direction) {
+        const count = this.searchHits.length;
+        if (count === 0) return;
+
+        this.searchPosition = this.searchPosition === -1
+            ? (direction > 0 ? 0 : count - 1)
+            : (this.searchPosition + direction + count) % count;
+        const hit = this.searchHits[this.searchPosition];
+
+        if (hit.tabId !== this.currentTabId) {
+            this.switchScenario(hit.tabId);
+        }
+        this.seekToTime(hit.timestamp);
+        this.finishReveal(hit.index);
+        this.highlightSearchHit(hit.index);
+        this.renderSearchMarkers();
+        this.updateSearchStatus();
+    }
+
+    // Show a line in full straight away, so its matched words can be marked
+    finishReveal(index) {
+        const entry = this.revealing.get(index);
+        if (!entry) return;
+
+        this.applyReveal(entry, entry.message.timestamp + this.getRevealDuration(entry.message));
+        this.revealing.delete(index);
+    }
+
+    highlightSearchHit(index) {
+        this.clearSearchHighlight();
+        const lineEl = this.conversationWindow.querySelector(`.message-text[data-index="${index}"]`);
+        if (!lineEl) return;
+
+        // Collect the line's text nodes; reveal and redaction spans split it up
+        const nodes = [];
+        const walker = document.createTreeWalker(lineEl, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            nodes.push(walker.currentNode);
+        }
+
+        const text = nodes.map(node => node.data).join('').toLowerCase();
+        const needle = this.searchQuery.toLowerCase();
+        const ranges = [];
+        for (let at = text.indexOf(needle); at !== -1; at = text.indexOf(needle, at + needle.length)) {
+            ranges.push({ start: at, end: at + needle.length });
+        }
+
+        let offset = 0;
+        nodes.forEach(node => {
+            const nodeStart = offset;
+            const nodeEnd = offset + node.data.length;
+            offset = nodeEnd;
+
+            // Back to front, so splitting keeps the earlier offsets valid
+            ranges.filter(range => range.start < nodeEnd && range.end > nodeStart).reverse().forEach(range => {
+                const from = Math.max(range.start, nodeStart) - nodeStart;
+                const piece = node.splitText(from);
+                piece.splitText(Math.min(range.end, nodeEnd) - nodeStart - from);
+
+                const markEl = document.createElement('mark');
+                markEl.className = 'search-hit';
+                piece.parentNode.insertBefore(markEl, piece);
+                markEl.appendChild(piece);
+            });
+        });
+
+        lineEl.classList.add('search-current');
+    }
+
+    clearSearchHighlight() {
+        this.conversationWindow.querySelectorAll('mark.search-hit').forEach(markEl => {
+            const parent = markEl.parentNode;
+            parent.replaceChild(markEl.firstChild, markEl);
+            parent.normalize();
+        });
+        this.conversationWindow.querySelectorAll('.search-current').forEach(lineEl => {
+            lineEl.classList.remove('search-current');
+        });
+    }
+
+    // Tick the active scenario's hits on the timeline
+    renderSearchMarkers() {
+        this.searchMarkers.innerHTML = '';
+        if (!(this.duration > 0)) return;
+
+        this.searchHits.forEach((hit, position) => {
+            if (hit.tabId !== this.currentTabId) return;
+
+            const markerEl = document.createElement('span');
+            markerEl.className = 'search-marker';
+            markerEl.classList.toggle('current', position === this.searchPosition);
+            markerEl.style.left = `${Math.min(100, (hit.timestamp / this.duration) * 100)}%`;
+            this.searchMarkers.appendChild(markerEl);
+        });
+    }
+
+    updateSearchStatus() {
+        if (!this.searchBar) return;
+
+        const count = this.searchHits.length;
+        let status = '';
+        if (this.searchQuery && count === 0) {
+            status = 'No matches';
+        } else if (this.searchPosition !== -1) {
+            status = `${this.searchPosition + 1} of ${count}`;
+        } else if (count > 0) {
+            status = `${count} ${count === 1 ? 'match' : 'matches'}`;
+        }
+        this.searchBar.querySelector('.search-count').textContent = status;
+        this.searchBar.querySelector('.search-prev').disabled = count === 0;
+        this.searchBar.querySelector('.search-next').disabled = count === 0;
+    }
+
+    setMarkerReached(index, reached) {
+        const markerEl = this.tagMarkers.children[index];
+        if (markerEl) {
+            markerEl.classList.toggle('reached', reached);
+        }
+    }
+
+    seekToTag(index) {
+        const trigger = this.currentTabTriggers[index];
+        if (trigger) {
+            this.seekToTime(trigger.timestamp);
+        }
+    }
+
+    updateMessages() {
+        if (this.hasEnded) return;
+        
+        const currentTime = this.media.currentTime;
+        const now = performance.now();
+        
+        // Throttle updates to ~60fps for smooth performance
+        if (now - this.lastRenderTime < 16) {
+            return;
+        }
+        this.lastRenderTime = now;
+        
+        // Show messages and tags we've reached
+        this.syncToTime(currentTime, true);
+        
+        // Advance any lines that are still being revealed
+        this.updateReveal(currentTime);
+        this.updateActiveMessage();
+        this.updateSpeaking();
+    }
+
+    // Sort once per scenario so playback and seeks can walk the timeline with a cursor
+    buildTimeline() {
+        const byTimestamp = items => items
+            .map((item, index) => index)
+            .sort((a, b) => items[a].timestamp - items[b].timestamp);
+
+        this.messageOrder = byTimestamp(this.conversation);
+        this.triggerOrder = byTimestamp(this.currentTabTriggers);
+        this.longestReveal = this.conversation.reduce((longest, message) => {
+            return Math.max(longest, this.getRevealDuration(message));
+        }, 0);
+        this.needsAudioLevel = this.conversation.some(message => !(message.duration > 0));
+    }
+
+    /**
+     * Bring the rendered lines and tag chips in line with `time`. Rendered
+     * nodes are a prefix of the sorted timeline, so anything past `time` is
+     * removed from the end and anything missing is appended after it; a seek
+     * only touches the nodes that actually change.
+     */
+    syncToTime(time, animate) {
+        // Rendered lines are a prefix, so the same count means the same lines
+        const renderedCount = this.messageNodes.length;
+        this.syncMessages(time, animate);
+        if (this.messageNodes.length !== renderedCount) {
+            this.updateLeadCard(animate);
+        }
+        this.syncTags(time, animate);
+    }
+
+    syncMessages(time, animate) {
+        while (this.messageNodes.length > 0) {
+            const last = this.messageNodes[this.messageNodes.length - 1];
+            if (this.conversation[last.index].timestamp <= time) break;
+            this.removeLastMessage();
+        }
+
+        while (this.messageNodes.length < this.messageOrder.length) {
+            const index = this.messageOrder[this.messageNodes.length];
+            const message = this.conversation[index];
+            if (message.timestamp > time) break;
+
+            if (animate) {
+                this.showMessage(message, index);
+            } else {
+                this.showMessageForSeek(message, index);
+            }
+        }
+    }
+
+    removeLastMessage() {
+        const node = this.messageNodes.pop();
+        node.lineEl.remove();
+        this.renderedMessages.delete(node.index);
+        this.revealing.delete(node.index);
+
+        // Drop the bubble with its last line, otherwise point it at its new last line
+        const remainingLines = node.bubbleEl.querySelectorAll('.message-text');
+        if (remainingLines.length === 0) {
+            node.bubbleEl.remove();
+        } else {
+            node.bubbleEl.dataset.index = remainingLines[remainingLines.length - 1].dataset.index;
+        }
+
+        const last = this.messageNodes[this.messageNodes.length - 1];
+        this.lastMessageElement = last ? last.bubbleEl : null;
+        this.lastSpeakerId = last ? this.conversation[last.index].type : null;
+    }
+
+    syncTags(time, animate) {
+        let removed = false;
+        while (this.tagNodes.length > 0) {
+            const last = this.tagNodes[this.tagNodes.length - 1];
+            if (this.currentTabTriggers[last.index].timestamp <= time) break;
+
+            this.tagNodes.pop();
+            last.element.remove();
+            this.renderedTags.delete(last.index);
+            this.setMarkerReached(last.index, false);
+            removed = true;
+        }
+
+        if (removed && this.tagNodes.length === 0) {
+            this.tagsContainer.style.opacity = '0';
+            this.tagsContainer.style.transform = 'translateY(20px)';
+        }
+
+        while (this.tagNodes.length < this.triggerOrder.length) {
+            const index = this.triggerOrder[this.tagNodes.length];
+            const trigger = this.currentTabTriggers[index];
+            if (trigger.timestamp > time) break;
+
+            this.renderedTags.add(index);
+            const element = animate
+                ? this.showTag(trigger.tag, index)
+                : this.showTagForSeek(trigger.tag, index);
+            this.tagNodes.push({ index: index, element: element });
+            this.setMarkerReached(index, true);
+
+            if (animate) {
+                this.emit('tag', { tag: trigger.tag, index: index, timestamp: trigger.timestamp });
+            }
+        }
+
+        // Show tags container right away if a seek left any tags shown
+        if (!animate && this.tagNodes.length > 0) {
+            this.tagsContainer.style.opacity = '1';
+            this.tagsContainer.style.transform = 'translateY(0)';
+        }
+    }
+
+    clearRendered() {
+        this.conversationWindow.innerHTML = '';
+        this.tagsContent.innerHTML = '';
+        this.tagsContainer.style.opacity = '0';
+        this.tagsContainer.style.transform = 'translateY(20px)';
+        this.tagMarkers.querySelectorAll('.tag-marker.reached').forEach(markerEl => {
+            markerEl.classList.remove('reached');
+        });
+
+        this.renderedMessages.clear();
+        this.revealing.clear();
+        this.renderedTags.clear();
+        this.messageNodes = [];
+        this.tagNodes = [];
+        this.lastMessageElement = null;
+        this.lastSpeakerId = null;
+        this.activeLineEl = null;
+        this.activeBubbleEl = null;
+        this.updateLeadCard(false);
+    }
+
+    // Lay out a row for every lead field the scenario's messages fill in
+    renderLeadCard() {
+        this.leadRows = {};
+        this.leadValues = {};
+        if (!this.leadCard) return;
+
+        const fieldsEl = this.leadCard.querySelector('.lead-card-fields');
+        fieldsEl.innerHTML = '';
+        const used = {};
+        this.conversation.forEach(message => Object.assign(used, message.fields));
+
+        ConversaPlay.leadFields.forEach(field => {
+            if (!(field.key in used)) return;
+
+            const rowEl = document.createElement('div');
+            rowEl.className = `lead-field lead-field-${field.key}`;
+            rowEl.innerHTML = `<dt class="lead-field-label"></dt><dd class="lead-field-value"></dd>`;
+            rowEl.querySelector('dt').textContent = field.label;
+            fieldsEl.appendChild(rowEl);
+            this.leadRows[field.key] = rowEl;
+        });
+
+        this.leadCard.hidden = Object.keys(this.leadRows).length === 0;
+        this.leadCard.querySelector('.lead-card-source').textContent = this.getScenarioLabel();
+        this.updateLeadCard(false);
+    }
+
+    /**
+     * The lead as captured by the lines rendered so far, keyed by field.
+     * Pass `all` for the whole conversation. Values are masked when
+     * redaction is on.
+     */
+    getLeadRecord(all = false) {
+        const indexes = all ? this.messageOrder : this.messageNodes.map(node => node.index);
+        const captured = {};
+        indexes.forEach(index => Object.assign(captured, this.conversation[index].fields));
+
+        const types = ((this.scenarios[this.currentTabId] || {}).redact || {}).types;
+        const record = {};
+        ConversaPlay.leadFields.forEach(field => {
+            if (!(field.key in captured)) return;
+
+            const masked = this.options.redact && field.pii && (!types || types.indexOf(field.pii) !== -1);
+            record[field.key] = masked ? `[${field.pii}]` : captured[field.key];
+        });
+        return record;
+    }
+
+    // Fill in the lead card from the rendered lines; rebuilt the same way after any seek
+    updateLeadCard(animate) {
+        if (!this.leadCard || this.leadCard.hidden) return;
+
+        const record = this.getLeadRecord();
+        Object.keys(this.leadRows).forEach(key => {
+            if (!animate) {
+                this.leadRows[key].classList.remove('just-filled');
+            }
+
+            const value = key in record ? String(record[key]) : '';
+            if (value === (this.leadValues[key] || '')) return;
+
+            const rowEl = this.leadRows[key];
+            rowEl.querySelector('.lead-field-value').textContent = value;
+            rowEl.classList.toggle('filled', value !== '');
+            rowEl.classList.remove('just-filled');
+            this.leadValues[key] = value;
+
+            if (animate && value !== '') {
+                // Restart the highlight on a row filled again
+                void rowEl.offsetWidth;
+                rowEl.classList.add('just-filled');
+                this.emit('lead-field', { field: key, value: value });
+            }
+        });
+
+        // Every line rendered: the card is the finished record
+        const complete = this.messageOrder.length > 0 && this.messageNodes.length === this.messageOrder.length;
+        this.leadCard.classList.toggle('complete', complete);
+        this.leadCard.querySelector('.lead-card-status').textContent = complete ? 'Lead captured' : 'Capturing\u2026';
+    }
+
+showTag(tagData, index) {
+    const tagElement = document.createElement('div');
+    tagElement.className = `conversation-tag tag-${tagData.type}`;
+    tagElement.dataset.index = index;
+    tagElement.setAttribute('role', 'button');
+    tagElement.setAttribute('tabindex', '0');
+    
+    // Use SVG icon based on tag type
+    const iconSVG = this.tagIcons[tagData.type] || this.tagIcons.greeting;
+    
+    tagElement.innerHTML = `
+        <span class="tag-icon">${iconSVG}</span>
+        <span class="tag-label">${tagData.label}</span>
+    `;
+    
+    tagElement.title = tagData.description;
+    tagElement.style.opacity = '0';
+    tagElement.style.transform = 'scale(0.8)';
+    tagElement.style.transition = 'opacity calc(0.3s / var(--playback-rate, 1)) ease, transform calc(0.3s / var(--playback-rate, 1)) ease';
+    
+    this.tagsContent.appendChild(tagElement);
+    
+    // Delays follow the playback speed, so a chip appears as close to its trigger at 2x as at 1x
+    if (this.renderedTags.size === 1) {
+        setTimeout(() => {
+            this.tagsContainer.style.opacity = '1';
+            this.tagsContainer.style.transform = 'translateY(0)';
+            this.tagsContainer.style.transition = 'opacity calc(0.5s / var(--playback-rate, 1)) ease, transform calc(0.5s / var(--playback-rate, 1)) ease';
+        }, 300 / this.playbackRate);
+    }
+    
+    setTimeout(() => {
+        tagElement.style.opacity = '1';
+        tagElement.style.transform = 'scale(1)';
+    }, 500 / this.playbackRate);
+    
+    return tagElement;
+}
+
+    showMessage(message, index) {
+        let lineEl;
+        // Check if this is a consecutive message from the same speaker
+        if (this.lastMessageElement && this.lastSpeakerId === message.type) {
+            // Add to existing message box with fade animation
+            lineEl = this.appendToExistingMessage(message, index);
+        } else {
+            // Create new message box
+            lineEl = this.createNewMessage(message, index);
+        }
+        
+        this.renderedMessages.add(index);
+        this.messageNodes.push({ index: index, lineEl: lineEl, bubbleEl: this.lastMessageElement });
+        
+        // Scroll to bottom after a short delay to ensure DOM is updated
+        this.scheduleScrollToBottom();
+
+        this.announce(`${this.getSpeakerName(message.type)}: ${this.getLineText(index).trim()}`);
+        this.emit('message', { message: message, index: index });
+    }
+
+    createNewMessage(message, index) {
+        const messageEl = this.createMessageElement(message, index);
+        const textEl = messageEl.querySelector('.message-text');
+        messageEl.dataset.index = index;
+        // The bubble's index moves to its latest line, so the first line keeps its own
+        textEl.dataset.index = index;
         this.conversationWindow.appendChild(messageEl);
+        this.prepareReveal(textEl, message, index);
         
         // Update tracking variables
         this.lastMessageElement = messageEl;
-        this.lastMessageType = message.type;
+        this.lastSpeakerId = message.type;
+        
+        return textEl;
     }
 
     appendToExistingMessage(message, index) {
@@ -534,7 +2275,7 @@ showTag(tagData) {
         // Create a new text element for the additional message
         const newTextEl = document.createElement('div');
         newTextEl.className = 'message-text additional-message';
-        newTextEl.textContent = message.text;
+        this.renderLineText(newTextEl, index);
         newTextEl.dataset.index = index;
         newTextEl.style.opacity = '0';
         newTextEl.style.transform = 'translateY(10px)';
@@ -542,6 +2283,7 @@ showTag(tagData) {
         newTextEl.style.overflow = 'hidden';
         // Add to existing message WITHOUT animations initially
         lastTextEl.parentNode.insertBefore(newTextEl, lastTextEl.nextSibling);
+        this.prepareReveal(newTextEl, message, index);
         
         // Update the last message element to include this new content
         this.lastMessageElement.dataset.index = index;
@@ -553,19 +2295,39 @@ showTag(tagData) {
         newTextEl.style.opacity = '1';
         newTextEl.style.transform = 'translateY(0)';
         newTextEl.style.maxHeight = '100px';
-        newTextEl.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
+        newTextEl.style.transition = 'opacity calc(0.3s / var(--playback-rate, 1)) ease, transform calc(0.3s / var(--playback-rate, 1)) ease';
+        
+        return newTextEl;
     }
 
-    createMessageElement(message) {
+    createMessageElement(message, index) {
+        const speaker = this.getSpeaker(message.type);
         const messageEl = document.createElement('div');
-        messageEl.className = `message ${message.type}`;
+        messageEl.className = `message side-${speaker.side}`;
+        messageEl.dataset.speaker = speaker.id;
+        this.applySpeakerColor(messageEl, speaker);
         
         const contentEl = document.createElement('div');
         contentEl.className = 'message-content';
         
+        if (this.sharedSides.has(speaker.side)) {
+            const nameEl = document.createElement('span');
+            nameEl.className = 'message-speaker';
+            nameEl.textContent = this.getSpeakerName(speaker.id);
+            contentEl.appendChild(nameEl);
+        }
+        
         const textEl = document.createElement('div');
         textEl.className = 'message-text';
-        textEl.textContent = message.text;
+        this.renderLineText(textEl, index);
+        
+        if (speaker.avatar) {
+            const avatarEl = document.createElement('img');
+            avatarEl.className = 'message-avatar';
+            avatarEl.src = speaker.avatar;
+            avatarEl.alt = '';
+            messageEl.appendChild(avatarEl);
+        }
         
         contentEl.appendChild(textEl);
         messageEl.appendChild(contentEl);
@@ -573,6 +2335,170 @@ showTag(tagData) {
         return messageEl;
     }
 
+    // A line's text as shown, with any redacted tokens in place
+    getLineText(index) {
+        const segments = this.lineSegments[index];
+        return segments ? segments.map(segment => segment.text).join('') : this.conversation[index].text;
+    }
+
+    // Fill a line element with its (possibly redacted) text, cut to `shown` characters
+    renderLineText(textEl, index, shown = Infinity) {
+        const segments = this.lineSegments[index] || [{ text: this.conversation[index].text }];
+        textEl.textContent = '';
+
+        let offset = 0;
+        segments.forEach((segment, segmentIndex) => {
+            if (offset >= shown) return;
+            if (segment.type) {
+                textEl.appendChild(this.createRedactionElement(segment, segmentIndex));
+            } else {
+                textEl.appendChild(document.createTextNode(segment.text.slice(0, shown - offset)));
+            }
+            offset += segment.text.length;
+        });
+    }
+
+    createRedactionElement(segment, segmentIndex) {
+        const piiEl = document.createElement('span');
+        piiEl.className = `pii pii-${segment.type}`;
+        piiEl.dataset.segment = segmentIndex;
+        piiEl.title = `Redacted ${segment.type}`;
+
+        if (this.options.revealRedacted) {
+            piiEl.setAttribute('role', 'button');
+            piiEl.setAttribute('tabindex', '0');
+        }
+        this.updateRedactionElement(piiEl, segment);
+        return piiEl;
+    }
+
+    updateRedactionElement(piiEl, segment) {
+        piiEl.textContent = segment.revealed ? segment.original : segment.text;
+        piiEl.classList.toggle('revealed', !!segment.revealed);
+        if (this.options.revealRedacted) {
+            piiEl.setAttribute('aria-pressed', String(!!segment.revealed));
+        }
+    }
+
+    // Show or hide the original behind a masked token. Exports stay masked.
+    toggleRedaction(piiEl, index) {
+        const segment = (this.lineSegments[index] || [])[Number(piiEl.dataset.segment)];
+        if (!segment || !segment.type) return;
+
+        segment.revealed = !segment.revealed;
+        this.updateRedactionElement(piiEl, segment);
+    }
+
+    /**
+     * Set up a freshly rendered line for the typewriter or karaoke reveal.
+     * Progress is always derived from the audio clock, so pausing freezes the
+     * reveal and seeking into the middle of a line shows it part-way through.
+     */
+    prepareReveal(textEl, message, index) {
+        if (this.options.reveal !== 'typewriter' && this.options.reveal !== 'karaoke') return;
+
+        const entry = {
+            element: textEl,
+            message: message,
+            index: index,
+            text: this.getLineText(index),
+            words: null,
+            shown: -1
+        };
+
+        if (this.options.reveal === 'karaoke') {
+            // Wrap each word, remembering where it starts in the text;
+            // a redacted token counts as one word
+            textEl.textContent = '';
+            entry.words = [];
+            let offset = 0;
+            const segments = this.lineSegments[index] || [{ text: entry.text }];
+            segments.forEach((segment, segmentIndex) => {
+                if (segment.type) {
+                    const wordEl = document.createElement('span');
+                    wordEl.className = 'reveal-word';
+                    wordEl.appendChild(this.createRedactionElement(segment, segmentIndex));
+                    textEl.appendChild(wordEl);
+                    entry.words.push({ element: wordEl, start: offset });
+                    offset += segment.text.length;
+                    return;
+                }
+
+                segment.text.split(/(\s+)/).forEach(part => {
+                    if (!part) return;
+                    if (/^\s+$/.test(part)) {
+                        textEl.appendChild(document.createTextNode(part));
+                    } else {
+                        const wordEl = document.createElement('span');
+                        wordEl.className = 'reveal-word';
+                        wordEl.textContent = part;
+                        textEl.appendChild(wordEl);
+                        entry.words.push({ element: wordEl, start: offset });
+                    }
+                    offset += part.length;
+                });
+            });
+        }
+
+        textEl.classList.add('revealing', `reveal-${this.options.reveal}`);
+        this.revealing.set(index, entry);
+        this.applyReveal(entry, this.media.currentTime);
+    }
+
+    getRevealDuration(message) {
+        if (message.duration > 0) {
+            return message.duration;
+        }
+        const words = message.text.trim().split(/\s+/).length;
+        return (words / this.options.typingSpeed) * 60;
+    }
+
+    // Returns true once the line is fully revealed
+    applyReveal(entry, currentTime) {
+        const elapsed = currentTime - entry.message.timestamp;
+        const progress = Math.max(0, Math.min(1, elapsed / this.getRevealDuration(entry.message)));
+        const shown = Math.round(progress * entry.text.length);
+
+        if (shown !== entry.shown) {
+            entry.shown = shown;
+            if (entry.words) {
+                entry.words.forEach(word => {
+                    word.element.classList.toggle('spoken', word.start < shown);
+                });
+            } else {
+                this.renderLineText(entry.element, entry.index, shown);
+            }
+        }
+
+        if (progress >= 1) {
+            entry.element.classList.remove('revealing');
+            return true;
+        }
+        return false;
+    }
+
+    updateReveal(currentTime) {
+        this.revealing.forEach((entry, index) => {
+            if (this.applyReveal(entry, currentTime)) {
+                this.revealing.delete(index);
+            }
+        });
+    }
+
+    // After a backward seek, lines that were already complete may need to be
+    // part-way through again. Only the tail of the timeline can be affected.
+    rewindReveal(time) {
+        for (let i = this.messageNodes.length - 1; i >= 0; i--) {
+            const node = this.messageNodes[i];
+            const message = this.conversation[node.index];
+            if (message.timestamp + this.longestReveal < time) break;
+
+            if (!this.revealing.has(node.index) && time < message.timestamp + this.getRevealDuration(message)) {
+                this.prepareReveal(node.lineEl, message, node.index);
+            }
+        }
+    }
+
     scheduleScrollToBottom() {
         // Use setTimeout to ensure DOM is updated before scrolling
         setTimeout(() => {
@@ -604,72 +2530,234 @@ showTag(tagData) {
     }
 
     seekToTime(time) {
-        this.audio.currentTime = time;
+        const from = this.media.currentTime;
+        this.showTime(time);
+        this.emit('seek', { from: from, to: time });
+    }
+
+    // Move playback to `time` and bring the display in line, without a seek
+    // event; for redraws the visitor didn't ask for, see refresh()
+    showTime(time) {
+        this.media.currentTime = time;
         this.hasEnded = false;
         
-        // Clear and rebuild conversation based on new time
-        this.conversationWindow.innerHTML = '';
-        this.renderedMessages.clear();
-        this.renderedTags.clear();
-        this.tagsContent.innerHTML = '';
-        
-        // Reset tracking variables
-        this.lastMessageElement = null;
-        this.lastMessageType = null;
-        
-        // Show all messages that should be visible at this time
-        this.conversation.forEach((message, index) => {
-            if (time >= message.timestamp) {
-                this.showMessageForSeek(message, index);
-            }
-        });
-        
-        // Show all tags that should be visible at this time
-        this.currentTabTriggers.forEach((trigger, index) => {
-            if (time >= trigger.timestamp) {
-                this.showTagForSeek(trigger.tag, index);
-                this.renderedTags.add(index);
-            }
-        });
-        
-        // Show tags container if any tags are shown
-        if (this.renderedTags.size > 0) {
-            this.tagsContainer.style.opacity = '1';
-            this.tagsContainer.style.transform = 'translateY(0)';
-        }
+        // Only add or remove the lines and tags between the old and new time
+        this.syncToTime(time, false);
+        this.rewindReveal(time);
+        this.updateReveal(time);
         
         // Scroll to bottom after all messages are rendered
         this.scheduleScrollToBottom();
         
         this.updateProgress();
+        this.updateActiveMessage();
+        this.updateSpeaking();
     }
 
-    showMessageForSeek(message, index) {
-        // Check if this is a consecutive message from the same user
-        if (this.lastMessageElement && this.lastMessageType === message.type) {
-            // Add to existing message box WITHOUT animation for seeking
-            this.appendToExistingMessageForSeek(message, index);
+    // Jump to the start of the next line, or of the line before the current one
+    skipUtterance(direction) {
+        const timestampAt = position => this.conversation[this.messageOrder[position]].timestamp;
+        const current = this.messageNodes.length - 1;
+        let target;
+
+        if (direction > 0) {
+            if (current + 1 >= this.messageOrder.length) return;
+            target = timestampAt(current + 1);
+        } else if (current < 0) {
+            target = 0;
         } else {
-            // Create new message box
-            this.createNewMessage(message, index);
+            // Step past any lines that start at the same moment as the current one
+            let position = current - 1;
+            while (position >= 0 && timestampAt(position) >= timestampAt(current)) {
+                position--;
+            }
+            target = position >= 0 ? timestampAt(position) : 0;
         }
-        
-        this.renderedMessages.add(index);
+
+        this.seekToTime(target);
     }
 
-    appendToExistingMessageForSeek(message, index) {
-        const contentEl = this.lastMessageElement.querySelector('.message-content');
-        const existingTexts = contentEl.querySelectorAll('.message-text');
-        const lastTextEl = existingTexts[existingTexts.length - 1];
-        
+    setPlaybackRate(rate) {
+        const rates = ConversaPlay.playbackRates;
+        this.playbackRate = Math.max(rates[0], Math.min(rates[rates.length - 1], rate));
+        this.audio.playbackRate = this.playbackRate;
+        this.media.playbackRate = this.playbackRate;
+
+        // CSS animations read the rate so bubbles keep pace with the audio
+        this.root.style.setProperty('--playback-rate', this.playbackRate);
+        if (this.speedSelect) {
+            this.speedSelect.value = String(this.playbackRate);
+        }
+    }
+
+    stepPlaybackRate(direction) {
+        const rates = ConversaPlay.playbackRates;
+        const position = rates.findIndex(rate => rate >= this.playbackRate);
+        const next = rates[Math.max(0, Math.min(rates.length - 1, (position === -1 ? rates.length - 1 : position) + direction))];
+        this.setPlaybackRate(next);
+    }
+
+    seekToMessage(index) {
+        const message = this.conversation[index];
+        if (!message) return;
+
+        this.seekToTime(message.timestamp);
+        this.play();
+    }
+
+    /**
+     * Pulse the legend badge of whoever is talking, and quiet every badge in
+     * a silence or while paused. A line with a duration is spoken from its
+     * timestamp until timestamp + duration; for a line without one the
+     * audio level decides (see getAudioLevel()), or failing that its
+     * typing time.
+     */
+    updateSpeaking() {
+        const type = this.getSpeakingType(this.media.currentTime);
+        if (type === this.speakingType || !this.indicator) return;
+
+        this.speakingType = type;
+        this.indicator.querySelectorAll('.speaker-badge').forEach(badge => {
+            badge.classList.toggle('speaking', badge.dataset.speaker === type);
+        });
+    }
+
+    getSpeakingType(time) {
+        const last = this.messageNodes[this.messageNodes.length - 1];
+        if (!last || this.media.paused || this.hasEnded) return null;
+
+        const message = this.conversation[last.index];
+        if (message.duration > 0) {
+            return time < message.timestamp + message.duration ? message.type : null;
+        }
+
+        const level = this.getAudioLevel(time);
+        if (level === null) {
+            return time < message.timestamp + this.getRevealDuration(message) ? message.type : null;
+        }
+
+        // Hold on briefly between words, so the badge doesn't flicker
+        const now = performance.now();
+        if (level >= ConversaPlay.speakingLevel) {
+            this.lastVoiceAt = now;
+        }
+        return now - this.lastVoiceAt < ConversaPlay.speakingHold ? message.type : null;
+    }
+
+    /**
+     * How loud the audio is at `time`, from 0 to 1: live from the analyser
+     * when the audio runs through one, otherwise from the decoded waveform
+     * peaks. Null when neither is available.
+     */
+    getAudioLevel(time) {
+        const analyser = this.analyserAudio === this.audio && this.media === this.audio ? this.analyser : null;
+        if (analyser && this.audioContext.state === 'running') {
+            this.levelSamples = this.levelSamples || new Uint8Array(analyser.fftSize);
+            analyser.getByteTimeDomainData(this.levelSamples);
+
+            let peak = 0;
+            for (let i = 0; i < this.levelSamples.length; i++) {
+                peak = Math.max(peak, Math.abs(this.levelSamples[i] - 128));
+            }
+            return peak / 128;
+        }
+
+        if (this.peaks && this.peaks.loudest > 0) {
+            const { peaks, duration, loudest } = this.peaks;
+            const index = Math.min(peaks.length - 1, Math.floor((time / duration) * peaks.length));
+            return index >= 0 ? peaks[index] / loudest : 0;
+        }
+        return null;
+    }
+
+    /**
+     * Route the audio through an AnalyserNode when some line has no duration.
+     * Only done for same-origin audio, since Web Audio silences cross-origin
+     * media without CORS headers, and only once sound is on, from play() or
+     * "Tap for sound", so the context starts inside the visitor's gesture.
+     */
+    connectAnalyser() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!this.needsAudioLevel || !AudioContextClass || this.audio.muted || this.media !== this.audio) return;
+
+        if (this.analyserAudio !== this.audio) {
+            this.analyserAudio = this.audio;
+            this.analyser = null;
+
+            let sameOrigin = false;
+            try {
+                sameOrigin = new URL(this.audioSrc, location.href).origin === location.origin;
+            } catch (error) {
+                // Not a URL we can place; leave the audio alone
+            }
+            if (!sameOrigin) return;
+
+            try {
+                this.audioContext = this.audioContext || new AudioContextClass();
+                const analyser = this.audioContext.createAnalyser();
+                analyser.fftSize = 1024;
+                this.audioContext.createMediaElementSource(this.audio).connect(analyser);
+                analyser.connect(this.audioContext.destination);
+                this.analyser = analyser;
+                this.levelSamples = null;
+            } catch (error) {
+                console.warn('ConversaPlay: no audio level analysis', error);
+            }
+        }
+
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+    }
+
+    // Highlight the line that was most recently reached
+    updateActiveMessage() {
+        const last = this.messageNodes[this.messageNodes.length - 1];
+        const lineEl = last ? last.lineEl : null;
+        if (lineEl === this.activeLineEl) return;
+
+        if (this.activeLineEl) {
+            this.activeLineEl.classList.remove('active-utterance');
+            this.activeBubbleEl.classList.remove('active');
+        }
+
+        this.activeLineEl = lineEl;
+        this.activeBubbleEl = last ? last.bubbleEl : null;
+        if (lineEl) {
+            lineEl.classList.add('active-utterance');
+            this.activeBubbleEl.classList.add('active');
+        }
+    }
+
+    showMessageForSeek(message, index) {
+        let lineEl;
+        // Check if this is a consecutive message from the same speaker
+        if (this.lastMessageElement && this.lastSpeakerId === message.type) {
+            // Add to existing message box WITHOUT animation for seeking
+            lineEl = this.appendToExistingMessageForSeek(message, index);
+        } else {
+            // Create new message box
+            lineEl = this.createNewMessage(message, index);
+        }
+        
+        this.renderedMessages.add(index);
+        this.messageNodes.push({ index: index, lineEl: lineEl, bubbleEl: this.lastMessageElement });
+    }
+
+    appendToExistingMessageForSeek(message, index) {
+        const contentEl = this.lastMessageElement.querySelector('.message-content');
+        const existingTexts = contentEl.querySelectorAll('.message-text');
+        const lastTextEl = existingTexts[existingTexts.length - 1];
+        
         // Create a new text element for the additional message
         const newTextEl = document.createElement('div');
         newTextEl.className = 'message-text additional-message';
-        newTextEl.textContent = message.text;
+        this.renderLineText(newTextEl, index);
         newTextEl.dataset.index = index;
         
         // Add to existing message WITHOUT any animations for seeking
         lastTextEl.parentNode.insertBefore(newTextEl, lastTextEl.nextSibling);
+        this.prepareReveal(newTextEl, message, index);
         
         // Make it fully visible immediately (no animation)
         newTextEl.style.opacity = '1';
@@ -678,11 +2766,16 @@ showTag(tagData) {
         
         // Update the last message element to include this new content
         this.lastMessageElement.dataset.index = index;
+        
+        return newTextEl;
     }
 
     showTagForSeek(tagData, index) {
         const tagElement = document.createElement('div');
         tagElement.className = `conversation-tag tag-${tagData.type}`;
+        tagElement.dataset.index = index;
+        tagElement.setAttribute('role', 'button');
+        tagElement.setAttribute('tabindex', '0');
         
         // Use SVG icon from tagIcons object
         const iconSVG = this.tagIcons[tagData.type] || this.tagIcons.greeting;
@@ -700,6 +2793,142 @@ showTag(tagData) {
         tagElement.style.transform = 'scale(1)';
         
         this.tagsContent.appendChild(tagElement);
+        return tagElement;
+    }
+
+    /**
+     * Serialize the active scenario's transcript. Works from the in-memory
+     * conversation and tag triggers, so it follows switchConversation().
+     *
+     * @param {'text'|'vtt'|'json'} format
+     * @returns {string}
+     */
+    exportTranscript(format = 'text') {
+        const messages = this.conversation.map((message, index) => {
+            // Cues end at their duration, cut short where the next message starts
+            const next = this.conversation[index + 1];
+            let end = message.duration > 0 ? message.timestamp + message.duration : message.timestamp + 1;
+            if (next && next.timestamp > message.timestamp) {
+                end = Math.min(end, next.timestamp);
+            }
+
+            return {
+                message: message,
+                text: this.getLineText(index).trim(),
+                speaker: this.getSpeakerName(message.type),
+                start: message.timestamp,
+                end: Math.max(end, message.timestamp + 0.001)
+            };
+        });
+
+        if (format === 'text') {
+            const lines = messages.map(({ text, speaker, start }) => {
+                return `[${this.formatTime(start)}] ${speaker}: ${text}`;
+            });
+            return `${this.getScenarioLabel()} - call transcript\n\n${lines.join('\n')}\n`;
+        }
+
+        if (format === 'vtt') {
+            const cues = messages.map(({ text, speaker, start, end }, index) => {
+                text = text
+                    .replace(/&/g, '&amp;')
+                    .replace(/</g, '&lt;')
+                    .replace(/>/g, '&gt;');
+                return `${index + 1}\n${this.formatCueTime(start)} --> ${this.formatCueTime(end)}\n<v ${speaker}>${text}`;
+            });
+            return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+        }
+
+        if (format === 'json') {
+            // Each tag trigger is attached to the message playing when it fires
+            const triggers = this.currentTabTriggers.slice().sort((a, b) => a.timestamp - b.timestamp);
+            const conversation = messages.map(({ message, text, speaker }) => {
+                // Keep the original wording unless it was redacted
+                const entry = Object.assign({ speaker: speaker }, message, this.options.redact ? { text: text } : {});
+                if (this.options.redact) {
+                    // The captured values are in "lead", masked
+                    delete entry.fields;
+                }
+                return entry;
+            });
+
+            triggers.forEach(trigger => {
+                let target = conversation[0];
+                conversation.forEach(entry => {
+                    if (entry.timestamp <= trigger.timestamp) {
+                        target = entry;
+                    }
+                });
+                if (!target) return;
+
+                target.tags = target.tags || [];
+                target.tags.push(Object.assign({ timestamp: trigger.timestamp }, trigger.tag));
+            });
+
+            return JSON.stringify({
+                scenario: this.currentTabId,
+                label: this.getScenarioLabel(),
+                audio: this.audioSrc,
+                speakers: Object.keys(this.speakers).map(id => ({
+                    id: id,
+                    name: this.speakers[id].name,
+                    side: this.speakers[id].side
+                })),
+                lead: this.getLeadRecord(true),
+                conversation: conversation
+            }, null, 2) + '\n';
+        }
+
+        throw new Error(`Unknown transcript format "${format}"`);
+    }
+
+    downloadTranscript(format = 'text') {
+        const types = {
+            text: { extension: 'txt', mime: 'text/plain' },
+            vtt: { extension: 'vtt', mime: 'text/vtt' },
+            json: { extension: 'json', mime: 'application/json' }
+        };
+        const type = types[format];
+        if (!type) {
+            throw new Error(`Unknown transcript format "${format}"`);
+        }
+
+        this.downloadFile(this.exportTranscript(format), `${this.getScenarioSlug()}-transcript.${type.extension}`, type.mime);
+    }
+
+    // Save text as a file through a temporary link
+    downloadFile(text, fileName, mime) {
+        const blob = new Blob([text], { type: `${mime};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    getScenarioLabel() {
+        const scenario = this.scenarios[this.currentTabId];
+        return (scenario && scenario.label) || this.currentTabId || 'Conversation';
+    }
+
+    // The label as a file name, e.g. "pest-control"
+    getScenarioSlug() {
+        const slug = this.getScenarioLabel().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return slug || 'conversation';
+    }
+
+    // Format seconds as a WebVTT cue time, e.g. 00:01:02.500
+    formatCueTime(seconds) {
+        const totalMs = Math.round(seconds * 1000);
+        const hours = Math.floor(totalMs / 3600000);
+        const mins = Math.floor(totalMs / 60000) % 60;
+        const secs = Math.floor(totalMs / 1000) % 60;
+        const ms = totalMs % 1000;
+        return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
     }
 
     formatTime(seconds) {
@@ -710,427 +2939,1074 @@ showTag(tagData) {
 
     // Method to switch conversation and audio
     switchConversation(newConversation, newAudioSrc, tabId) {
+        const previousTabId = this.currentTabId;
         this.pause();
         this.conversation = newConversation;
         this.audioSrc = newAudioSrc;
         this.hasEnded = false;
         
         // Update tag triggers for current tab
-        this.currentTabTriggers = this.tagTriggers[tabId] || this.tagTriggers.tab1;
+        this.currentTabId = tabId;
+        this.currentTabTriggers = this.tagTriggers[tabId] || [];
         
-        // Create new audio element
+        // Drop any fallback clock or pending audio checks from the last scenario
+        this.clearAudioTimer();
+        this.usingFallback = false;
+        this.fallbackReason = null;
+        this.duration = 0;
+        if (this.audioNotice) {
+            this.audioNotice.hidden = true;
+        }
+
+        // Create new audio element, keeping the chosen speed and mute state
+        const muted = this.audio.muted;
         this.audio = new Audio(this.audioSrc);
+        this.audio.playbackRate = this.playbackRate;
+        this.audio.muted = muted;
+        this.media = this.audio;
         this.setupAudio();
         
         // Reset conversation display and tracking
-        this.conversationWindow.innerHTML = '';
-        this.renderedMessages.clear();
-        this.renderedTags.clear();
-        this.tagsContent.innerHTML = '';
-        this.tagsContainer.style.opacity = '0';
-        this.tagsContainer.style.transform = 'translateY(20px)';
-        this.lastMessageElement = null;
-        this.lastMessageType = null;
+        this.speakers = this.scenarioSpeakers[tabId] || ConversaPlay.buildSpeakers(null);
+        this.buildLineSegments();
+        this.clearRendered();
+        this.buildTimeline();
+        this.renderSpeakers();
+        this.renderLeadCard();
+        this.loadWaveform();
+
+        // Global hits span every tab; scenario hits follow the tab
+        if (this.searchGlobal) {
+            this.clearSearchHighlight();
+            this.renderSearchMarkers();
+        } else if (this.searchQuery) {
+            this.search(this.searchQuery);
+        }
         this.progressFill.style.width = '0%';
         this.currentTimeEl.textContent = '0:00';
         this.totalTimeEl.textContent = '0:00';
+        this.tagMarkers.innerHTML = '';
+
+        this.emit('scenario-change', {
+            previousTabId: previousTabId,
+            scenario: this.scenarios[tabId] || null
+        });
+    }
+
+    buildLineSegments() {
+        const scenario = this.scenarios[this.currentTabId];
+        this.lineSegments = this.options.redact
+            ? ConversaPlay.redactConversation(this.conversation, (scenario && scenario.redact) || {}, this.speakers)
+            : [];
+    }
+
+    /**
+     * Re-render the current scenario after its lines or tag triggers were
+     * changed in place (as ConversaPlayEditor does), then show it at `time`,
+     * by default where playback is now. Doesn't fire seek.
+     */
+    refresh(time = this.media.currentTime) {
+        this.buildLineSegments();
+        this.clearRendered();
+        this.buildTimeline();
+        this.renderSpeakers();
+        this.renderLeadCard();
+        this.renderTagMarkers();
+        this.drawWaveform();
+        if (this.searchQuery) {
+            this.search(this.searchQuery);
+        }
+
+        this.showTime(Math.max(0, this.duration > 0 ? Math.min(this.duration, time) : time));
+    }
+
+    listenGlobal(target, event, handler) {
+        target.addEventListener(event, handler);
+        this.globalListeners.push({ target: target, event: event, handler: handler });
+    }
+
+    /**
+     * Stop playback and release everything the player holds outside its own
+     * elements: page listeners, observers, timers, the audio and its
+     * analytics and editor. The player can't be used afterwards.
+     */
+    destroy() {
+        this.pause();
+        this.clearAudioTimer();
+        this.stopAutoPlay();
+        this.globalListeners.forEach(({ target, event, handler }) => target.removeEventListener(event, handler));
+        this.globalListeners = [];
+        if (this.waveformObserver) {
+            this.waveformObserver.disconnect();
+            this.waveformObserver = null;
+        }
+        if (this.waveformViewObserver) {
+            this.waveformViewObserver.disconnect();
+            this.waveformViewObserver = null;
+        }
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+
+        // Stop the download as well as the playback
+        this.audio.removeAttribute('src');
+        this.audio.load();
+
+        if (this.analytics) {
+            this.analytics.destroy();
+        }
+        if (this.editor) {
+            this.editor.destroy();
+        }
+        this.listeners = {};
     }
 }
 
-// Sample conversation data for different tabs
-const conversations = {
-    tab1: {
-        conversation: [
-            {
-                type: 'ai',
-                text: 'Thank you for calling Mile High HVAC, this is our AI receptionist.',
-                timestamp: 0,
-                duration: 3.5
-            },
+/**
+ * Silent stand-in for the audio element, used when the recording can't be
+ * played. Keeps time with performance.now() and fires the same timeupdate
+ * and ended events, so the player drives the transcript from it unchanged.
+ */
+class ConversaPlayClock extends EventTarget {
+    constructor(duration) {
+        super();
+        this.duration = duration;
+        this.paused = true;
+        this.rate = 1;
+        // Media time at the last play, seek or rate change, and when that was
+        this.baseTime = 0;
+        this.baseStamp = 0;
+        this.timerId = null;
+    }
 
-            {
-                type: 'ai',
-                text: 'How can I help you today?',
-                timestamp: 3.5,
-                duration: 0.5
-            },
+    get currentTime() {
+        if (this.paused) return this.baseTime;
+        const elapsed = ((performance.now() - this.baseStamp) / 1000) * this.rate;
+        return Math.min(this.duration, this.baseTime + elapsed);
+    }
 
-            {
-                type: 'user',
-                text: 'Yeah, my AC isn\'t blowing cold air and it\'s getting really hot in the house.',
-                timestamp: 5.5,
-                duration: 4
-            },
-            {
-                type: 'ai',
-                text: 'Sorry to hear that — I can help get you scheduled right now.',
-                timestamp: 10.5,
-                duration: 3
-            },
-            {
-                type: 'ai',
-                text: 'Just to confirm, is this for a residential home or a business?',
-                timestamp: 14,
-                duration: 3
-            },
-            {
-                type: 'user',
-                text: 'This is for my house.',
-                timestamp: 18,
-                duration: 1
-            },
-            {
-                type: 'ai',
-                text: 'Got it.',
-                timestamp: 20,
-                duration: 4
-            },
-            {
-                type: 'ai',
-                text: 'And are you noticing warm air, strange noises, or is it not turning on at all?',
-                timestamp: 21,
-                duration: 4
-            },
-            {
-                type: 'user',
-                text: 'It\'s running, but it\'s blowing warm air.',
-                timestamp: 27.5,
-                duration: 2
-            },
-            {
-                type: 'ai',
-                text: 'Thank you. I\'ll get a technician scheduled to take care of that for you. May I get your full name?',
-                timestamp: 30,
-                duration: 4
-            },
-            {
-                type: 'user',
-                text: 'Sarah Longo.',
-                timestamp: 36,
-                duration: 2
-            },
-            {
-                type: 'ai',
-                text: 'Thanks, Sarah. What\'s the best phone number in case the technician needs to contact you?',
-                timestamp: 37.5,
-                duration: 4
-            },
-            {
-                type: 'user',
-                text: '303-555-7284.',
-                timestamp: 41.5,
-                duration: 5
-            },
-            {
-                type: 'ai',
-                text: 'And what\'s address?',
-                timestamp: 45.5,
-                duration: 1.5
-            },
-            {
-                type: 'user',
-                text: '4517 South Pearl Street, Denver, Colorado.',
-                timestamp: 48,
-                duration: 3
+    set currentTime(time) {
+        this.baseTime = Math.max(0, Math.min(this.duration, time));
+        this.baseStamp = performance.now();
+    }
+
+    get playbackRate() {
+        return this.rate;
+    }
+
+    set playbackRate(rate) {
+        this.currentTime = this.currentTime;
+        this.rate = rate;
+    }
+
+    play() {
+        if (this.paused) {
+            this.paused = false;
+            this.baseStamp = performance.now();
+            // Same cadence browsers use for timeupdate
+            this.timerId = setInterval(() => this.tick(), 250);
+        }
+        return Promise.resolve();
+    }
+
+    pause() {
+        if (this.paused) return;
+        this.baseTime = this.currentTime;
+        this.paused = true;
+        clearInterval(this.timerId);
+        this.timerId = null;
+    }
+
+    tick() {
+        this.dispatchEvent(new Event('timeupdate'));
+        if (!this.paused && this.currentTime >= this.duration) {
+            this.pause();
+            this.dispatchEvent(new Event('ended'));
+        }
+    }
+}
+
+/**
+ * Engagement analytics for a ConversaPlay instance, built on its event API.
+ *
+ * Records per-tab facts (opens, plays, pauses, seeks, furthest position,
+ * completion, tags seen) plus a compact event log, and hands them to a sink
+ * in batches. A batch is sent when the queue reaches `batchSize`, every
+ * `flushInterval` ms, and when the page is hidden or unloaded.
+ *
+ * `options.sink` can be:
+ *   - a URL string, posted with navigator.sendBeacon (fetch keepalive fallback)
+ *   - a function receiving each batch
+ *   - an object with a send(batch) method
+ *   - 'console' to log batches while developing (the default)
+ */
+class ConversaPlayAnalytics {
+    constructor(player, options = {}) {
+        this.player = player;
+        this.sink = ConversaPlayAnalytics.createSink(options.sink || 'console');
+        this.batchSize = options.batchSize || 20;
+        this.sessionId = options.sessionId || ConversaPlayAnalytics.createSessionId();
+        this.startedAt = Date.now();
+        this.queue = [];
+        this.tabs = {};
+        this.dirty = false;
+
+        this.handlers = {
+            'scenario-change': (e) => {
+                this.getTab(e.tabId).opens++;
+                this.record(e);
             },
-            {
-                type: 'ai',
-                text: 'Perfect. I show an available service window for today between 4 and 6 PM or tomorrow between 9 and 11 AM.',
-                timestamp: 52,
-                duration: 9
+            play: (e) => {
+                this.getTab(e.tabId).plays++;
+                this.record(e);
             },
-            {
-                type: 'ai',
-                text: ' What works best for you?',
-                timestamp: 58,
-                duration: 1
+            pause: (e) => {
+                this.reach(e.tabId, e.currentTime);
+                // Scrolling past an autoplaying widget isn't a drop-off
+                if (e.automatic) return;
+                this.getTab(e.tabId).pauses++;
+                this.record(e);
             },
-            {
-                type: 'user',
-                text: 'Tomorrow morning.',
-                timestamp: 60,
-                duration: 1
+            seek: (e) => {
+                this.getTab(e.tabId).seeks++;
+                this.reach(e.tabId, e.from);
+                this.record(e, { from: this.round(e.from), to: this.round(e.to) });
             },
-            {
-                type: 'ai',
-                text: 'You\'re booked for tomorrow between 9 and 11 AM. Our technician will call before arriving.',
-                timestamp: 61.5,
-                duration: 9
+            message: (e) => {
+                this.reach(e.tabId, e.currentTime);
             },
-            {
-                type: 'ai',
-                text: 'You\'ll also receive a confirmation text shortly.',
-                timestamp: 66.6,
-                duration: 9
+            tag: (e) => {
+                const tab = this.getTab(e.tabId);
+                if (tab.tagsSeen.indexOf(e.tag.type) === -1) {
+                    tab.tagsSeen.push(e.tag.type);
+                }
+                this.reach(e.tabId, e.currentTime);
+                this.record(e, { tag: e.tag.type });
             },
-            {
-                type: 'user',
-                text: 'Awesome, thank you.',
-                timestamp: 69.5,
-                duration: 1
+            ended: (e) => {
+                this.getTab(e.tabId).completed = true;
+                this.reach(e.tabId, e.duration);
+                this.record(e);
             },
-            {
-                type: 'ai',
-                text: 'You\'re all set, Sarah. Thanks for choosing Mile High HVAC and we\'ll see you tomorrow!',
-                timestamp: 72,
-                duration: 4
+            restart: (e) => {
+                this.getTab(e.tabId).restarts++;
+                this.record(e);
             }
-        ],
-        audio: 'https://oaklineconsulting.com/wp-content/uploads/2025/12/HVAC_.mp3'
-    },
-    tab2: {
-        conversation: [
-            {
-                type: 'ai',
-                text: 'Thank you for calling Anderson Law. How can I help you today?',
-                timestamp: 0,
-                duration: 3
-            },
-            {
-                type: 'user',
-                text: 'I\'m calling because I was in a car accident last week',
-                timestamp: 4,
-                duration: 5
-            },
-            {
-                type: 'user',
-                text: 'and I\'m not sure what to do.',
-                timestamp: 6.5,
-                duration: 5
-            },
-            {
-                type: 'ai',
-                text: 'I\'m sorry to hear that. I can help schedule a consultation with one of our attorneys.',
-                timestamp: 8.6,
-                duration: 6
-            },
-            {
-                type: 'ai',
-                text: ' Was anyone injured in the accident?',
-                timestamp: 13,
-                duration: 6
-            },
-            {
-                type: 'user',
-                text: 'Yes, I had some back and neck pain since the accident.',
-                timestamp: 15,
-                duration: 4
-            },
-            {
-                type: 'ai',
-                text: 'Thank you for letting me know. May I get your full name?',
-                timestamp: 19.5,
-                duration: 3
-            },
-            {
-                type: 'user',
-                text: 'Yeah, Sarah Johnson.',
-                timestamp: 22,
-                duration: 2
-            },
-            {
-                type: 'ai',
-                text: 'Thanks, Sarah. What\'s the best phone number and email to reach you?',
-                timestamp: 25,
-                duration: 4
-            },
-            {
-                type: 'user',
-                text: '303-555-8193 and my email is sarahj@gmail.com.',
-                timestamp: 29,
-                duration: 3
-            },
-            {
-                type: 'ai',
-                text: 'Got it. And were you the driver or a passenger?',
-                timestamp: 36,
-                duration: 3
-            },
-            {
-                type: 'user',
-                text: 'I… I was the one driving.',
-                timestamp: 39.5,
-                duration: 2
-            },
-            {
-                type: 'ai',
-                text: 'Understood. I have an opening for a free consultation today at 3:30 PM or tomorrow at 10 AM.',
-                timestamp: 41.5,
-                duration: 5
-            },
-            {
-                type: 'ai',
-                text: 'Which do you prefer?',
-                timestamp: 47,
-                duration: 5
-            },
-            {
-                type: 'user',
-                text: 'Tomorrow at 10.',
-                timestamp: 49,
-                duration: 1
-            },
-            {
-                type: 'ai',
-                text: 'You\'re confirmed for tomorrow at 10 AM. You\'ll receive a confirmation email and a reminder text shortly.',
-                timestamp: 50.5,
-                duration: 5
-            },
-            {
-                type: 'user',
-                text: 'Perfect, thanks so much.',
-                timestamp: 56.5,
-                duration: 2
-            },
-            {
-                type: 'ai',
-                text: 'You\'re very welcome, Sarah. We look forward to helping you tomorrow.',
-                timestamp: 58.5,
-                duration: 3
+        };
+        Object.keys(this.handlers).forEach(event => player.on(event, this.handlers[event]));
+
+        this.onVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush();
             }
-        ],
-        audio: 'https://oaklineconsulting.com/wp-content/uploads/2025/12/lawfirm_.mp3'
-    },
-    tab3: {
-        conversation: [
-            {
-                type: 'ai',
-                text: 'Thanks for calling PeakMotion Chiropractic.',
-                timestamp: 0,
-                duration: 6
-            },
-            {
-                type: 'ai',
-                text: 'How can I help you today?',
-                timestamp: 2,
-                duration: 6
-            },
-            {
-                type: 'user',
-                text: 'Hey there, I\'ve had some lower back pain for a while and need to see someone about it.',
-                timestamp: 4.5,
-                duration: 4
-            },
-            {
-                type: 'ai',
-                text: 'We can definitely help with that. Is this your first visit to our clinic?',
-                timestamp: 9,
-                duration: 4
-            },
-            {
-                type: 'user',
-                text: 'Yes, it is.',
-                timestamp: 13,
-                duration: 1
-            },
-            {
-                type: 'ai',
-                text: 'Great! Let\'s get you taken care of. May I have your full name?',
-                timestamp: 14.5,
-                duration: 3
-            },
-            {
-                type: 'user',
-                text: 'Yeah! Mark Daniels.',
-                timestamp: 18,
-                duration: 2
-            },
-            {
-                type: 'ai',
-                text: 'Thanks, Mark. What\'s the best phone number for your appointment confirmation?',
-                timestamp: 20.5,
-                duration: 4
-            },
-            {
-                type: 'user',
-                text: '720-555-4419.',
-                timestamp: 24,
-                duration: 2
-            },
-            {
-                type: 'ai',
-                text: 'Okay great — is your pain recent or something you\'ve been dealing with for a while?',
-                timestamp: 28.5,
-                duration: 4
-            },
-            {
-                type: 'user',
-                text: 'Um... probably about three months now.',
-                timestamp: 33,
-                duration: 2
-            },
-            {
-                type: 'ai',
-                text: 'Thanks for sharing that. I have availability for a new patient exam today at 5 PM or tomorrow at 11:30 AM.',
-                timestamp: 36.5,
-                duration: 5
-            },
-            {
-                type: 'ai',
-                text: 'Which works for you?',
-                timestamp: 44,
-                duration: 5
-            },
-            {
-                type: 'user',
-                text: 'Tomorrow works with me.',
-                timestamp: 46,
-                duration: 1
-            },
-            {
-                type: 'ai',
-                text: 'You\'re booked for tomorrow at 11:30 AM. You\'ll receive a text with our address and intake form.',
-                timestamp: 48,
-                duration: 4
-            },
-            {
-                type: 'user',
-                text: 'Awesome, thank you for your help.',
-                timestamp: 53.5,
-                duration: 1
-            },
-            {
-                type: 'ai',
-                text: 'You\'re all set, Mark. We look forward to seeing you tomorrow at PeakMotion Chiropractic!',
-                timestamp: 57,
-                duration: 4
+        };
+        this.onPageHide = () => this.flush();
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+        window.addEventListener('pagehide', this.onPageHide);
+
+        this.flushTimer = setInterval(() => this.flush(), options.flushInterval || 15000);
+    }
+
+    static createSink(sink) {
+        if (typeof sink === 'function') {
+            return sink;
+        }
+        if (sink && typeof sink.send === 'function') {
+            return batch => sink.send(batch);
+        }
+        if (sink === 'console') {
+            return batch => console.log('[ConversaPlay analytics]', batch);
+        }
+        if (typeof sink === 'string') {
+            return batch => {
+                const body = JSON.stringify(batch);
+                if (navigator.sendBeacon && navigator.sendBeacon(sink, new Blob([body], { type: 'text/plain' }))) {
+                    return;
+                }
+                fetch(sink, { method: 'POST', body: body, keepalive: true, headers: { 'Content-Type': 'text/plain' } })
+                    .catch(error => console.warn('ConversaPlay analytics: failed to send batch', error));
+            };
+        }
+        throw new Error('Analytics sink must be a URL, a function, an object with send(), or "console"');
+    }
+
+    static createSessionId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    getTab(tabId) {
+        if (!this.tabs[tabId]) {
+            this.tabs[tabId] = {
+                opens: 0,
+                plays: 0,
+                pauses: 0,
+                seeks: 0,
+                restarts: 0,
+                furthest: 0,
+                duration: 0,
+                completed: false,
+                tagsSeen: []
+            };
+        }
+        return this.tabs[tabId];
+    }
+
+    // Track the furthest point listened to, not where a seek landed
+    reach(tabId, time) {
+        const tab = this.getTab(tabId);
+        tab.furthest = Math.max(tab.furthest, this.round(time));
+        tab.duration = this.round(this.player.duration);
+        this.dirty = true;
+    }
+
+    record(e, extra = {}) {
+        this.queue.push(Object.assign({
+            type: e.type,
+            tabId: e.tabId,
+            time: this.round(e.currentTime),
+            at: Date.now() - this.startedAt
+        }, extra));
+        this.dirty = true;
+
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        }
+    }
+
+    round(seconds) {
+        return Math.round((seconds || 0) * 10) / 10;
+    }
+
+    flush() {
+        if (!this.dirty) return;
+
+        const batch = {
+            sessionId: this.sessionId,
+            page: window.location.href,
+            sentAt: new Date().toISOString(),
+            events: this.queue.splice(0),
+            tabs: JSON.parse(JSON.stringify(this.tabs))
+        };
+        this.dirty = false;
+
+        try {
+            this.sink(batch);
+        } catch (error) {
+            console.warn('ConversaPlay analytics: sink failed', error);
+        }
+    }
+
+    destroy() {
+        this.flush();
+        clearInterval(this.flushTimer);
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        window.removeEventListener('pagehide', this.onPageHide);
+        Object.keys(this.handlers).forEach(event => this.player.off(event, this.handlers[event]));
+    }
+}
+
+/**
+ * Authoring panel for a ConversaPlay instance: lists the current scenario's
+ * lines and tag triggers with their times, so a demo can be retimed and
+ * reworded against its recording in the browser. Every edit changes the
+ * scenario in place and re-renders the player at the edited moment; "Export
+ * JSON" downloads the scenario to paste back into the manifest.
+ *
+ * Turned on with the `editor` attribute, data-editor on a .widget, or
+ * `editor: true` in ConversaPlay.create(). Lines show their original text
+ * even when redaction is on.
+ */
+class ConversaPlayEditor {
+    constructor(player) {
+        this.player = player;
+
+        this.panel = document.createElement('aside');
+        this.panel.className = 'editor-panel';
+        this.panel.setAttribute('aria-label', 'Scenario editor');
+        this.panel.innerHTML = `
+            <header class="editor-header">
+                <span class="editor-title">Edit</span>
+                <span class="editor-source"></span>
+                <button class="editor-action editor-export" type="button" title="Download this scenario as JSON">Export JSON</button>
+                <button class="editor-close" type="button" title="Close editor" aria-label="Close editor">&times;</button>
+            </header>
+            <h3 class="editor-heading">Lines</h3>
+            <ol class="editor-list editor-lines"></ol>
+            <h3 class="editor-heading">Tags</h3>
+            <ol class="editor-list editor-tags"></ol>
+            <button class="editor-action editor-add-tag" type="button">Add tag at current time</button>
+        `;
+        this.linesEl = this.panel.querySelector('.editor-lines');
+        this.tagsEl = this.panel.querySelector('.editor-tags');
+        // Each line and tag trigger's row, so edits update it in place
+        this.rows = new Map();
+        this.previewTimer = null;
+
+        // Brings the panel back once closed
+        this.toggleBtn = document.createElement('button');
+        this.toggleBtn.type = 'button';
+        this.toggleBtn.className = 'editor-toggle';
+        this.toggleBtn.textContent = 'Edit scenario';
+        this.toggleBtn.hidden = true;
+
+        this.panel.querySelector('.editor-export').addEventListener('click', () => this.download());
+        this.panel.querySelector('.editor-close').addEventListener('click', () => this.close());
+        this.panel.querySelector('.editor-add-tag').addEventListener('click', () => this.addTag());
+        this.toggleBtn.addEventListener('click', () => this.open());
+
+        player.root.appendChild(this.panel);
+        player.root.appendChild(this.toggleBtn);
+
+        this.handlers = {
+            'scenario-change': () => {
+                clearTimeout(this.previewTimer);
+                this.render();
+            }
+        };
+        Object.keys(this.handlers).forEach(event => player.on(event, this.handlers[event]));
+        this.render();
+    }
+
+    open() {
+        this.panel.hidden = false;
+        this.toggleBtn.hidden = true;
+    }
+
+    close() {
+        this.panel.hidden = true;
+        this.toggleBtn.hidden = false;
+    }
+
+    getScenario() {
+        return this.player.scenarios[this.player.currentTabId] || null;
+    }
+
+    // The tag triggers of the current scenario, created on it when it has none
+    getTriggers() {
+        const player = this.player;
+        const scenario = this.getScenario();
+        if (scenario && !scenario.tagTriggers) {
+            scenario.tagTriggers = player.tagTriggers[player.currentTabId] = player.currentTabTriggers;
+        }
+        return player.currentTabTriggers;
+    }
+
+    render() {
+        const player = this.player;
+        this.panel.querySelector('.editor-source').textContent = this.getScenario() ? player.getScenarioLabel() : '';
+        this.rows.clear();
+        this.linesEl.innerHTML = '';
+        player.conversation.forEach(message => this.linesEl.appendChild(this.createLineRow(message)));
+        this.tagsEl.innerHTML = '';
+        player.currentTabTriggers.forEach(trigger => this.tagsEl.appendChild(this.createTagRow(trigger)));
+    }
+
+    createLineRow(message) {
+        const player = this.player;
+        const rowEl = document.createElement('li');
+        rowEl.className = 'editor-row';
+        rowEl.appendChild(this.createTimeControls(message, true));
+
+        const speakerSelect = document.createElement('select');
+        speakerSelect.className = 'editor-speaker';
+        speakerSelect.setAttribute('aria-label', 'Speaker');
+        const types = Object.keys(player.speakers);
+        if (types.indexOf(message.type) === -1) {
+            types.push(message.type);
+        }
+        types.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = player.getSpeakerName(type);
+            speakerSelect.appendChild(option);
+        });
+        speakerSelect.value = message.type;
+        speakerSelect.addEventListener('change', () => {
+            message.type = speakerSelect.value;
+            this.previewLine(message);
+        });
+        rowEl.appendChild(speakerSelect);
+
+        const textInput = document.createElement('textarea');
+        textInput.className = 'editor-text';
+        textInput.rows = 2;
+        textInput.setAttribute('aria-label', 'Text');
+        textInput.value = message.text;
+        textInput.addEventListener('input', () => {
+            message.text = textInput.value;
+            this.previewLine(message);
+        });
+        rowEl.appendChild(textInput);
+
+        this.rows.set(message, rowEl);
+        return rowEl;
+    }
+
+    createTagRow(trigger) {
+        const player = this.player;
+        const rowEl = document.createElement('li');
+        rowEl.className = 'editor-row';
+        rowEl.appendChild(this.createTimeControls(trigger, false));
+
+        const typeSelect = document.createElement('select');
+        typeSelect.className = 'editor-tag-type';
+        typeSelect.setAttribute('aria-label', 'Tag type');
+        const types = Object.keys(player.tagIcons);
+        if (types.indexOf(trigger.tag.type) === -1) {
+            types.push(trigger.tag.type);
+        }
+        types.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = type;
+            typeSelect.appendChild(option);
+        });
+        typeSelect.value = trigger.tag.type;
+        typeSelect.addEventListener('change', () => {
+            trigger.tag.type = typeSelect.value;
+            this.preview(trigger.timestamp);
+        });
+        rowEl.appendChild(typeSelect);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'editor-remove';
+        removeBtn.title = 'Remove tag';
+        removeBtn.setAttribute('aria-label', 'Remove tag');
+        removeBtn.innerHTML = '&times;';
+        removeBtn.addEventListener('click', () => this.removeTag(trigger));
+        rowEl.appendChild(removeBtn);
+
+        ['label', 'description'].forEach(key => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = `editor-tag-${key}`;
+            input.placeholder = key === 'label' ? 'Label' : 'Description';
+            input.setAttribute('aria-label', input.placeholder);
+            input.value = trigger.tag[key] || '';
+            input.addEventListener('input', () => {
+                trigger.tag[key] = input.value;
+                this.preview(trigger.timestamp);
+            });
+            rowEl.appendChild(input);
+        });
+
+        this.rows.set(trigger, rowEl);
+        return rowEl;
+    }
+
+    // Start time with nudge, "Now" and preview buttons, plus the duration for lines
+    createTimeControls(item, withDuration) {
+        const player = this.player;
+        const controlsEl = document.createElement('div');
+        controlsEl.className = 'editor-time';
+        controlsEl.innerHTML = `
+            <button class="editor-nudge" type="button" data-step="-0.1" title="0.1s earlier" aria-label="0.1 seconds earlier">&minus;</button>
+            <input class="editor-timestamp" type="number" min="0" step="0.1" aria-label="Start time in seconds">
+            <button class="editor-nudge" type="button" data-step="0.1" title="0.1s later" aria-label="0.1 seconds later">+</button>
+            <button class="editor-now" type="button" title="Set to the current audio position">Now</button>
+            <button class="editor-preview" type="button" title="Jump here" aria-label="Jump here">&#9654;</button>
+        `;
+
+        const timestampInput = controlsEl.querySelector('.editor-timestamp');
+        timestampInput.value = item.timestamp;
+        timestampInput.addEventListener('change', () => {
+            const time = parseFloat(timestampInput.value);
+            if (isFinite(time)) {
+                this.setTime(item, time);
+            } else {
+                timestampInput.value = item.timestamp;
+            }
+        });
+
+        controlsEl.querySelectorAll('.editor-nudge').forEach(button => {
+            button.addEventListener('click', () => this.setTime(item, item.timestamp + Number(button.dataset.step)));
+        });
+        controlsEl.querySelector('.editor-now').addEventListener('click', () => this.setTime(item, player.media.currentTime));
+        controlsEl.querySelector('.editor-preview').addEventListener('click', () => this.showAt(item.timestamp));
+
+        if (withDuration) {
+            const durationInput = document.createElement('input');
+            durationInput.className = 'editor-duration';
+            durationInput.type = 'number';
+            durationInput.min = '0';
+            durationInput.step = '0.1';
+            durationInput.placeholder = 'auto';
+            durationInput.title = 'Duration in seconds; leave empty to time the reveal by its words';
+            durationInput.setAttribute('aria-label', 'Duration in seconds');
+            durationInput.value = item.duration > 0 ? item.duration : '';
+            durationInput.addEventListener('change', () => {
+                const duration = ConversaPlayEditor.round(parseFloat(durationInput.value));
+                if (duration > 0) {
+                    item.duration = duration;
+                } else {
+                    delete item.duration;
+                }
+                durationInput.value = item.duration > 0 ? item.duration : '';
+                this.previewLine(item);
+            });
+            controlsEl.insertBefore(durationInput, controlsEl.querySelector('.editor-preview'));
+        }
+
+        return controlsEl;
+    }
+
+    /**
+     * Move a line or tag trigger to `time` and preview it from there. Lists
+     * are kept in timestamp order, as the manifest should be; only the
+     * item's own row is updated and moved, so the field being edited keeps
+     * its focus.
+     */
+    setTime(item, time) {
+        const player = this.player;
+        item.timestamp = ConversaPlayEditor.round(Math.max(0, time));
+
+        const byTimestamp = (a, b) => a.timestamp - b.timestamp;
+        player.conversation.sort(byTimestamp);
+        player.currentTabTriggers.sort(byTimestamp);
+
+        const rowEl = this.rows.get(item);
+        if (rowEl) {
+            rowEl.querySelector('.editor-timestamp').value = item.timestamp;
+
+            const items = player.conversation.indexOf(item) !== -1 ? player.conversation : player.currentTabTriggers;
+            const nextRow = this.rows.get(items[items.indexOf(item) + 1]) || null;
+            if (rowEl.nextSibling !== nextRow) {
+                const focused = this.panel.getRootNode().activeElement;
+                rowEl.parentNode.insertBefore(rowEl, nextRow);
+                if (focused && rowEl.contains(focused)) {
+                    focused.focus();
+                }
             }
-        ],
-        audio: 'https://oaklineconsulting.com/wp-content/uploads/2025/12/chiropractor.mp3'
+        }
+        this.preview(item.timestamp);
+    }
+
+    // Show a line fully revealed, so edits to its text and speaker are visible
+    previewLine(message) {
+        this.preview(message.timestamp + this.player.getRevealDuration(message));
+    }
+
+    // Redraw the player at `time` once edits pause, not on every keystroke
+    preview(time) {
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => this.showAt(time), ConversaPlayEditor.previewDelay);
+    }
+
+    // Redraw the player at `time` now, taking over any pending preview.
+    // Goes through refresh(), so the jump isn't counted as a visitor's seek.
+    showAt(time) {
+        clearTimeout(this.previewTimer);
+        this.previewTimer = null;
+        this.player.refresh(time);
+    }
+
+    addTag() {
+        const player = this.player;
+        if (!this.getScenario()) return;
+
+        const trigger = {
+            timestamp: ConversaPlayEditor.round(player.media.currentTime),
+            tag: { type: Object.keys(player.tagIcons)[0], label: '', description: '' }
+        };
+        this.getTriggers().push(trigger);
+        this.tagsEl.appendChild(this.createTagRow(trigger));
+        this.setTime(trigger, trigger.timestamp);
+        this.rows.get(trigger).querySelector('.editor-tag-label').focus();
+    }
+
+    removeTag(trigger) {
+        const triggers = this.player.currentTabTriggers;
+        const index = triggers.indexOf(trigger);
+        if (index === -1) return;
+
+        triggers.splice(index, 1);
+        this.rows.get(trigger).remove();
+        this.rows.delete(trigger);
+        this.showAt(this.player.media.currentTime);
+    }
+
+    /**
+     * The current scenario as manifest JSON. A scenario loaded from captions
+     * is exported with its conversation inline, since that is what was edited.
+     */
+    exportScenario() {
+        const scenario = Object.assign({}, this.getScenario());
+        if (scenario.conversation) {
+            delete scenario.captions;
+        }
+        return JSON.stringify(scenario, null, 4) + '\n';
+    }
+
+    download() {
+        this.player.downloadFile(this.exportScenario(), `${this.player.getScenarioSlug()}-scenario.json`, 'application/json');
     }
+
+    destroy() {
+        clearTimeout(this.previewTimer);
+        this.panel.remove();
+        this.toggleBtn.remove();
+        Object.keys(this.handlers).forEach(event => this.player.off(event, this.handlers[event]));
+    }
+}
+
+// Times are kept to a hundredth of a second, so nudges don't pile up float noise
+ConversaPlayEditor.round = seconds => Math.round(seconds * 100) / 100;
+
+// Milliseconds of quiet after an edit before the player is redrawn
+ConversaPlayEditor.previewDelay = 250;
+
+// Caption speaker labels understood by parseCaptions(), mapped to message types
+ConversaPlay.captionSpeakers = {
+    ai: 'ai',
+    assistant: 'ai',
+    agent: 'ai',
+    caller: 'user',
+    customer: 'user',
+    user: 'user'
 };
 
-// Initialize the conversation player with the first tab
-let currentPlayer = new ConversaPlay(
-    conversations.tab1.conversation, 
-    conversations.tab1.audio, 
-    {
-        typingSpeed: 160,
-        autoPlay: false
+// A caption prefix that can only be a speaker label: up to three words
+// starting with a capital, e.g. "Bob", "Speaker 2" or "Dr. Smith"
+ConversaPlay.captionLabelPattern = /^[A-Z][\w.'-]*(?: [\w.'-]+){0,2}$/;
+
+// Personal details masked when redaction is on; names are found from context
+ConversaPlay.piiPatterns = {
+    email: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+    phone: /(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b/g,
+    // "4517 South Pearl Street, Denver, Colorado"
+    address: /\b\d{1,6}\s+(?:[A-Z][a-z]*\.?\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Drive|Dr|Lane|Ln|Court|Ct|Way|Place|Pl|Parkway|Pkwy|Circle|Cir|Terrace|Highway|Hwy)\b\.?(?:,?\s+(?:Apt|Unit|Suite|#)\s*\w+)?(?:,\s*[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*){0,2}/g
+};
+
+// What may follow a name given with "I'm" or "this is": the end of the
+// sentence, or words like "Sarah from accounts" and "Sarah calling about"
+ConversaPlay.nameEndPattern = /^(?:\s*(?:[.,!?;:)]|$)|\s+(?:from|with|and|here|speaking|calling|at|on)\b)/;
+
+// Words that open an answer to "what's your name?" before the name itself
+ConversaPlay.nameLeadIn = /^(?:\s*(?:yes|yeah|yep|sure|okay|ok|of course|hi|hello|please|sorry|it's|it is|that's|that is|this is|my name is|my name's|the name is|name's|i'm|i am)\b[\s,.!:-]*)+/i;
+
+// Capitalized words in such an answer that are not part of a name,
+// as in "Yes Please Call Me Back"
+ConversaPlay.notNameWords = new Set(['Me', 'You', 'Call', 'Back', 'Please', 'Thanks', 'Thank', 'Yes', 'No', 'Sure', 'Okay', 'Hi', 'Hello', 'The', 'And', 'Not', 'Just', 'Now', 'Right']);
+
+// Lead card fields, in the order the card lists them. `pii` is the
+// redaction type that masks the value when redaction is on.
+ConversaPlay.leadFields = [
+    { key: 'name', label: 'Caller', pii: 'name' },
+    { key: 'phone', label: 'Phone', pii: 'phone' },
+    { key: 'email', label: 'Email', pii: 'email' },
+    { key: 'address', label: 'Address', pii: 'address' },
+    { key: 'issue', label: 'Issue' },
+    { key: 'service', label: 'Service type' },
+    { key: 'slot', label: 'Booked slot' }
+];
+
+// Waveform resolution before it is fitted to the timeline's width, and the
+// decoded peaks by audio URL, shared by every player on the page
+ConversaPlay.peakCount = 1000;
+ConversaPlay.peaksCache = {};
+
+// Audio level (0 to 1) that counts as someone speaking, for lines without a
+// duration, and how long in ms the badge stays lit through a pause between words
+ConversaPlay.speakingLevel = 0.1;
+ConversaPlay.speakingHold = 300;
+
+// Speeds offered by the speed selector and the , / . shortcuts
+ConversaPlay.playbackRates = [0.75, 1, 1.25, 1.5, 1.75, 2];
+
+// Speakers every scenario starts with; its "speakers" can rename them or add more
+ConversaPlay.defaultSpeakers = {
+    ai: {
+        name: 'AI',
+        side: 'left',
+        icon: `<svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 20 20" height="12" width="12" preserveAspectRatio="xMidYMid meet" aria-hidden="true" role="img"><path fill="currentColor" fill-rule="evenodd" d="M15.655333333333335 0.1985675c0.29883333333333334 0 0.5558333333333334 0.21145416666666667 0.6133333333333334 0.5046325 0.29308333333333336 1.4935 1.46625 2.6749583333333335 2.904166666666667 2.9640166666666667 0.29183333333333333 0.058675000000000005 0.5018333333333334 0.31505 0.5018333333333334 0.6127416666666667s-0.21000000000000002 0.554075 -0.5018333333333334 0.6127416666666667c-1.4383333333333335 0.28915 -2.6115 1.4690166666666669 -2.9045 2.962041666666667 -0.057583333333333334 0.293175 -0.3145 0.5045916666666667 -0.6133333333333334 0.5045916666666667 -0.29875 0 -0.5557500000000001 -0.21141666666666667 -0.6132500000000001 -0.5045916666666667 -0.29308333333333336 -1.4931 -1.4659166666666668 -2.6729 -2.904166666666667 -2.962041666666667 -0.29183333333333333 -0.05866666666666667 -0.5018333333333334 -0.31505 -0.5018333333333334 -0.6127416666666667s0.21000000000000002 -0.5540666666666667 0.5018333333333334 -0.6127416666666667c1.4379166666666667 -0.2890666666666667 2.611416666666667 -1.4705833333333334 2.9045 -2.9640166666666667 0.05750000000000001 -0.2931783333333334 0.3145 -0.5046325 0.6132500000000001 -0.5046325ZM8.745083333333334 6.842450000000001c0 -0.46024166666666666 -0.3730833333333333 -0.8333333333333334 -0.8333 -0.8333333333333334 -0.4602333333333333 0 -0.8333333333333334 0.37309166666666665 -0.8333333333333334 0.8333333333333334l0 12.126633333333332c0 0.4601666666666667 0.37310000000000004 0.8333333333333334 0.8333333333333334 0.8333333333333334 0.46021666666666666 0 0.8333 -0.37316666666666665 0.8333 -0.8333333333333334l0 -12.126633333333332Zm2.544 0.9440083333333334c0.46025000000000005 0 0.8333333333333334 0.37309166666666665 0.8333333333333334 0.8333750000000001v8.57075c0 0.46025000000000005 -0.3730833333333333 0.8333333333333334 -0.8333333333333334 0.8333333333333334s-0.8333333333333334 -0.3730833333333333 -0.8333333333333334 -0.8333333333333334V8.619833333333334c0 -0.4602833333333334 0.3730833333333333 -0.8333750000000001 0.8333333333333334 -0.8333750000000001Zm4.209 2.880875c0 -0.46025000000000005 -0.37316666666666665 -0.8333333333333334 -0.8333333333333334 -0.8333333333333334 -0.46025000000000005 0 -0.8333333333333334 0.3730833333333333 -0.8333333333333334 0.8333333333333334v4.475083333333333c0 0.46025000000000005 0.3730833333333333 0.8333333333333334 0.8333333333333334 0.8333333333333334 0.4601666666666667 0 0.8333333333333334 -0.3730833333333333 0.8333333333333334 -0.8333333333333334v-4.475083333333333ZM4.536133333333334 9.07225c0.4602333333333333 0 0.8333333333333334 0.3730833333333333 0.8333333333333334 0.8333333333333334l0 6.001500000000001c0 0.46025000000000005 -0.37310000000000004 0.8333333333333334 -0.8333333333333334 0.8333333333333334s-0.8333333333333334 -0.3730833333333333 -0.8333333333333334 -0.8333333333333334l0 -6.001500000000001c0 -0.46025000000000005 0.37309166666666665 -0.8333333333333334 0.8333333333333334 -0.8333333333333334ZM1.9921833333333336 7.90365c0 -0.46024166666666666 -0.37309166666666665 -0.8333333333333334 -0.8333333333333334 -0.8333333333333334 -0.4602333333333333 0 -0.8333291666666667 0.37309166666666665 -0.8333291666666667 0.8333333333333334V17.906916666666667c0 0.46025000000000005 0.3730966666666667 0.8333333333333334 0.8333375000000001 0.8333333333333334 0.4602333333333333 0 0.8333333333333334 -0.3730833333333333 0.8333333333333334 -0.8333333333333334L1.9921833333333336 7.90365Z" clip-rule="evenodd" stroke-width="0.8333"></path></svg>`
+    },
+    user: {
+        name: 'Caller',
+        side: 'right',
+        icon: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" height="10" width="10"><path d="m18.89166666666667 14.166666666666668 -2.041666666666667 -2.041666666666667a2.3333333333333335 2.3333333333333335 0 0 0 -3.3333333333333335 0l-0.4083333333333333 0.4083333333333333a45 45 0 0 1 -5.675 -5.666666666666667l0.4166666666666667 -0.4166666666666667a2.3583333333333334 2.3583333333333334 0 0 0 0 -3.3333333333333335L5.833333333333334 1.1a2.391666666666667 2.391666666666667 0 0 0 -3.3333333333333335 0L1.3833333333333333 2.216666666666667a3.3333333333333335 3.3333333333333335 0 0 0 -0.4166666666666667 4.166666666666667 45.2 45.2 0 0 0 12.641666666666667 12.641666666666667 3.3333333333333335 3.3333333333333335 0 0 0 4.166666666666667 -0.4166666666666667L18.89166666666667 17.5a2.3333333333333335 2.3333333333333335 0 0 0 0 -3.3333333333333335Z" fill="currentColor" stroke-width="0.8333"></path></svg>`
     }
-);
+};
+
+// Theme color keys accepted by setTheme(), and the custom property each sets
+ConversaPlay.themeProperties = {
+    font: '--cp-font',
+    bubbleRadius: '--cp-bubble-radius',
+    accent: '--cp-accent',
+    accentStrong: '--cp-accent-strong',
+    accentHover: '--cp-accent-hover',
+    accentSoft: '--cp-accent-soft',
+    onAccent: '--cp-on-accent',
+    surface: '--cp-surface',
+    window: '--cp-window',
+    control: '--cp-control',
+    track: '--cp-track',
+    border: '--cp-border',
+    text: '--cp-text',
+    mutedText: '--cp-muted-text',
+    aiBubble: '--cp-ai-bubble',
+    aiText: '--cp-ai-text',
+    userBubble: '--cp-user-bubble',
+    userText: '--cp-user-text'
+};
 
-// Tab switching functionality
-document.addEventListener('DOMContentLoaded', function() {
-    const tabButtons = document.querySelectorAll('.tab-btn');
+// Markup for one player, rendered into every <conversa-play> and into any
+// .widget left empty on the page
+ConversaPlay.template = `
+    <!-- Tabs are generated from the scenario manifest -->
+    <div class="tabs-container" role="group" aria-label="Demo scenario"></div>
     
-    tabButtons.forEach(button => {
-        button.addEventListener('click', function() {
-            const tabId = this.getAttribute('data-tab');
-            
-            // Remove active class from all buttons
-            tabButtons.forEach(btn => btn.classList.remove('active'));
-            // Add active class to clicked button
-            this.classList.add('active');
-            
-            // Switch conversation based on tab
-            if (conversations[tabId]) {
-                currentPlayer.switchConversation(
-                    conversations[tabId].conversation,
-                    conversations[tabId].audio,
-                    tabId
-                );
+    <div class="conversaplay-container">
+        <div class="controls-container">
+            <button class="control-btn skip-btn prev-btn" title="Previous line (P)" aria-label="Previous line">
+                <svg width="14" height="14" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true" focusable="false">
+                    <path d="M4 4h2v12H4zm3 6l9-6v12z"></path>
+                </svg>
+            </button>
+            <button class="control-btn play-pause-btn" aria-label="Play">
+                <!-- Play Icon -->
+                <svg class="play-icon" aria-hidden="true" focusable="false" width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
+                    <path d="M4 3l12 7-12 7V3z"></path>
+                </svg>
+                <!-- Pause Icon -->
+                <svg class="pause-icon" aria-hidden="true" focusable="false" width="16" height="16" viewBox="0 0 20 20" fill="currentColor" style="display:none;">
+                    <path d="M6 4h3v12H6zm5 0h3v12h-3z"></path>
+                </svg>
+            </button>
+            <button class="control-btn skip-btn next-btn" title="Next line (N)" aria-label="Next line">
+                <svg width="14" height="14" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true" focusable="false">
+                    <path d="M14 4h2v12h-2zm-1 6L4 16V4z"></path>
+                </svg>
+            </button>
+            <div class="timeline">
+                <div class="time-display">
+                    <span class="current-time">0:00</span>
+                    <span class="total-time">0:00</span>
+                </div>
+                <div class="progress-bar" aria-label="Seek">
+                    <div class="progress-fill">
+                        <div class="progress-scrubber"></div>
+                    </div>
+                </div>
+            </div>
+            <div class="control-buttons">
+                <select class="speed-select" title="Playback speed (, and .)" aria-label="Playback speed">
+                    <option value="0.75">0.75×</option>
+                    <option value="1" selected>1×</option>
+                    <option value="1.25">1.25×</option>
+                    <option value="1.5">1.5×</option>
+                    <option value="1.75">1.75×</option>
+                    <option value="2">2×</option>
+                </select>
+                <button class="control-btn mute restart-btn" title="Restart (R)" aria-label="Restart conversation">
+                    <svg class="restart-icon" aria-hidden="true" focusable="false" fill="currentColor" width="16" height="16" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                        <path d="M19.146 4.854l-1.489 1.489A8 8 0 1 0 12 20a8.094 8.094 0 0 0 7.371-4.886 1 1 0 1 0-1.842-.779A6.071 6.071 0 0 1 12 18a6 6 0 1 1 4.243-10.243l-1.39 1.39a.5.5 0 0 0 .354.854H19.5A.5.5 0 0 0 20 9.5V5.207a.5.5 0 0 0-.854-.353z"></path>
+                    </svg>
+                </button>
+                <div class="export-menu">
+                    <button class="control-btn export-btn" title="Download transcript" aria-label="Download transcript" aria-haspopup="true" aria-expanded="false">
+                        <svg aria-hidden="true" focusable="false" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                            <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                            <polyline points="7 10 12 15 17 10"></polyline>
+                            <line x1="12" y1="15" x2="12" y2="3"></line>
+                        </svg>
+                    </button>
+                    <div class="export-options">
+                        <button class="export-option" data-format="text">Plain text</button>
+                        <button class="export-option" data-format="vtt">WebVTT</button>
+                        <button class="export-option" data-format="json">JSON</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+        
+        <div class="search-bar" role="search">
+            <svg class="search-icon" aria-hidden="true" focusable="false" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <circle cx="11" cy="11" r="7"></circle>
+                <line x1="21" y1="21" x2="16.65" y2="16.65"></line>
+            </svg>
+            <input class="search-input" type="search" placeholder="Search transcript" aria-label="Search transcript" title="Search transcript (/)">
+            <span class="search-count" aria-live="polite"></span>
+            <button class="search-step search-prev" type="button" title="Previous match (Shift+Enter)" aria-label="Previous match" disabled>
+                <svg width="12" height="12" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true" focusable="false">
+                    <path d="M10 5l7 9H3z"></path>
+                </svg>
+            </button>
+            <button class="search-step search-next" type="button" title="Next match (Enter)" aria-label="Next match" disabled>
+                <svg width="12" height="12" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true" focusable="false">
+                    <path d="M10 15L3 6h14z"></path>
+                </svg>
+            </button>
+            <label class="search-scope">
+                <input class="search-all" type="checkbox">
+                All scenarios
+            </label>
+        </div>
+
+        <div class="audio-notice" role="status" hidden>
+            Audio unavailable &mdash; playing the transcript without sound
+        </div>
+
+        <button class="sound-btn" type="button" hidden>
+            <svg aria-hidden="true" focusable="false" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"></polygon>
+                <path d="M15.54 8.46a5 5 0 0 1 0 7.07"></path>
+                <path d="M19.07 4.93a10 10 0 0 1 0 14.14"></path>
+            </svg>
+            Tap for sound
+        </button>
+
+        <!-- Speaker legend, filled in from the scenario's speakers -->
+        <div class="indicator" aria-hidden="true"></div>
+        
+        <div class="conversation-window" tabindex="0" role="region" aria-label="Transcript"></div>
+    <div class="tags-container" role="region" aria-label="Conversation highlights">
+        <div class="tags-content">
+        </div>
+    </div>
+
+    <!-- Lead card, filled in from the "fields" of each message -->
+    <section class="lead-card" aria-label="Captured lead" hidden>
+        <header class="lead-card-header">
+            <span class="lead-card-title">New lead</span>
+            <span class="lead-card-source"></span>
+            <span class="lead-card-status">Capturing&hellip;</span>
+        </header>
+        <dl class="lead-card-fields"></dl>
+    </section>
+    </div>
+`;
+
+/**
+ * <conversa-play> custom element: a self-contained player that renders its
+ * own controls, indicator, conversation window and tags into shadow DOM,
+ * styled by styles.css. Once script.js is loaded, embedding is one tag:
+ *
+ *   <conversa-play src="scenarios.json" scenario="tab2" autoplay></conversa-play>
+ *
+ * Attributes:
+ *   src          manifest URL (default scenarios.json next to script.js)
+ *   scenario     tab to open first; changing it later switches tabs
+ *   autoplay     start muted when scrolled into view; can be toggled later
+ *   theme        'light' or 'dark'; brand themes go through player.setTheme()
+ *   reveal       'instant', 'typewriter' (default) or 'karaoke'
+ *   redact       mask personal details; redact="reveal" lets a click show them
+ *   waveform     "off" keeps the plain timeline instead of the audio's waveform
+ *   analytics    analytics endpoint URL, or "console"
+ *   editor       show the authoring panel for retiming and editing the scenario
+ *   stylesheet   stylesheet URL, when not styles.css next to script.js
+ *
+ * Keyboard, while focus is in the player: Space plays and pauses, N / P
+ * jump to the next and previous line (the keyboard route for clicking a
+ * line), R restarts, , and . change speed, / searches, and the arrow, Page
+ * and Home / End keys seek on the focused timeline. Highlights are reached
+ * through their tag chips and timeline markers.
+ *
+ * The ConversaPlay instance is available as element.player.
+ */
+class ConversaPlayElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['src', 'scenario', 'theme', 'autoplay'];
+    }
+
+    connectedCallback() {
+        // Moving the element around the page keeps the same player
+        if (this.player) return;
+
+        // Added back after being removed: start over with a fresh player
+        const shadow = this.shadowRoot || this.attachShadow({ mode: 'open' });
+        shadow.innerHTML = '';
+
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = this.getAttribute('stylesheet') || ConversaPlayElement.stylesheet;
+        shadow.appendChild(link);
+
+        const root = document.createElement('div');
+        root.className = 'widget';
+        root.innerHTML = ConversaPlay.template;
+        shadow.appendChild(root);
+
+        this.player = ConversaPlay.create(root, {
+            manifest: this.getAttribute('src') || ConversaPlayElement.manifest,
+            scenario: this.getAttribute('scenario'),
+            reveal: this.getAttribute('reveal'),
+            autoPlay: this.hasAttribute('autoplay'),
+            theme: this.getAttribute('theme'),
+            redact: this.hasAttribute('redact'),
+            waveform: this.getAttribute('waveform') !== 'off',
+            revealRedacted: this.getAttribute('redact') === 'reveal',
+            analytics: this.getAttribute('analytics'),
+            editor: this.hasAttribute('editor')
+        });
+    }
+
+    disconnectedCallback() {
+        // A move re-inserts the element in the same task; only a removal
+        // leaves it disconnected by the time microtasks run
+        queueMicrotask(() => {
+            if (!this.isConnected && this.player) {
+                this.player.destroy();
+                this.player = null;
             }
         });
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        // Attributes present at creation are read in connectedCallback
+        if (!this.player || oldValue === value) return;
+
+        const player = this.player;
+        if (name === 'src') {
+            player.ready = player.loadManifest(value || ConversaPlayElement.manifest);
+            player.ready.catch(error => console.error('ConversaPlay:', error));
+            // The new manifest autoplays like the first one did
+            player.setAutoPlay(player.options.autoPlay);
+        } else if (name === 'scenario' && value) {
+            player.ready.then(() => player.switchScenario(value), () => {});
+        } else if (name === 'theme') {
+            player.setTheme(value);
+        } else if (name === 'autoplay') {
+            player.setAutoPlay(value !== null);
+        }
+    }
+}
+
+// styles.css and scenarios.json are looked up next to this script unless the
+// element says otherwise, so both defaults work from any page
+ConversaPlayElement.stylesheet = document.currentScript && document.currentScript.src
+    ? new URL('styles.css', document.currentScript.src).href
+    : 'styles.css';
+ConversaPlayElement.manifest = document.currentScript && document.currentScript.src
+    ? new URL('scenarios.json', document.currentScript.src).href
+    : 'scenarios.json';
+
+if (window.customElements && !window.customElements.get('conversa-play')) {
+    window.customElements.define('conversa-play', ConversaPlayElement);
+}
+
+// Initialize one conversation player per .widget on the page, for embeds that
+// predate <conversa-play>. Each widget can point at its own manifest with
+// data-manifest, pick a tab with data-scenario and a theme with data-theme,
+// mask personal details with data-redact (or data-redact="reveal"), turn the
+// waveform off with data-waveform="off", start by itself when scrolled into
+// view with data-autoplay, and open the authoring panel with data-editor.
+const players = Array.from(document.querySelectorAll('.widget')).map(root => {
+    if (!root.querySelector('.conversation-window')) {
+        root.innerHTML = ConversaPlay.template;
+    }
+
+    return ConversaPlay.create(root, {
+        manifest: root.dataset.manifest,
+        scenario: root.dataset.scenario,
+        reveal: root.dataset.reveal,
+        autoPlay: 'autoplay' in root.dataset,
+        analytics: root.dataset.analytics,
+        theme: root.dataset.theme,
+        redact: 'redact' in root.dataset,
+        revealRedacted: root.dataset.redact === 'reveal',
+        waveform: root.dataset.waveform !== 'off',
+        editor: 'editor' in root.dataset
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+// Local stand-in for the analytics endpoint. Point a widget at it with
+//   <div class="widget" data-analytics="http://localhost:8787/collect">
+// and every batch the player sends is printed here.
+//
+// Usage: node tools/analytics-stub.js [port]
+
+const http = require('http');
+
+const port = Number(process.argv[2]) || 8787;
+
+const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.writeHead(405, { 'Content-Type': 'text/plain' });
+        res.end('POST analytics batches to this endpoint\n');
+        return;
+    }
+
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        try {
+            const batch = JSON.parse(body);
+            console.log(`[${new Date().toISOString()}] ${req.url} session ${batch.sessionId}: ${batch.events.length} event(s)`);
+            console.log(JSON.stringify(batch, null, 2));
+            res.writeHead(204);
+        } catch (error) {
+            console.error(`Invalid batch: ${error.message}`);
+            res.writeHead(400, { 'Content-Type': 'text/plain' });
+        }
+        res.end();
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Analytics stub listening on http://localhost:${port}/collect`);
+});
@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+// Check a scenario manifest for the mistakes hand-edited timings tend to have:
+// timestamps out of order, durations running into the next line, unknown tag
+// types and lead fields, and anything placed past the end of the recording
+// (measured from the local MP3 in audios/).
+//
+// Usage: node tools/lint-scenarios.js [scenarios.json] [--audio-dir audios]
+// Exits with status 1 when any error is found.
+
+const fs = require('fs');
+const path = require('path');
+const mp3 = require('./mp3');
+const { ROOT, readManifest, loadPlayerClass, getTagTypes, findLocalAudio } = require('./scenarios');
+
+// Timings are hand-written to a tenth of a second or so
+const EPSILON = 0.001;
+
+function parseArgs(argv) {
+    const args = { manifest: path.join(ROOT, 'scenarios.json'), audioDir: path.join(ROOT, 'audios') };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--audio-dir') {
+            args.audioDir = path.resolve(argv[++i]);
+        } else if (argv[i] === '-h' || argv[i] === '--help') {
+            args.help = true;
+        } else {
+            args.manifest = path.resolve(argv[i]);
+        }
+    }
+    return args;
+}
+
+function lintManifest(manifestPath, audioDir) {
+    const problems = [];
+    const { value: manifest, lines } = readManifest(manifestPath);
+    const PlayerClass = loadPlayerClass();
+    const tagTypes = getTagTypes(PlayerClass);
+    const leadFields = PlayerClass.leadFields.map(field => field.key);
+    const file = path.relative(process.cwd(), manifestPath) || manifestPath;
+
+    const report = (severity, jsonPath, message) => {
+        const line = lines[jsonPath];
+        problems.push({
+            severity: severity,
+            location: line ? `${file}:${line}` : file,
+            path: jsonPath,
+            message: message
+        });
+    };
+
+    if (!Array.isArray(manifest.scenarios) || manifest.scenarios.length === 0) {
+        report('error', 'scenarios', 'manifest has no "scenarios" array');
+        return problems;
+    }
+
+    const seenIds = {};
+    manifest.scenarios.forEach((scenario, s) => {
+        const base = `scenarios[${s}]`;
+        const name = scenario.id ? `${scenario.id}${scenario.label ? ` (${scenario.label})` : ''}` : base;
+        const scenarioReport = (severity, jsonPath, message) => report(severity, jsonPath, `${name}: ${message}`);
+
+        if (!scenario.id) {
+            scenarioReport('error', base, 'missing "id"');
+        } else if (seenIds[scenario.id]) {
+            scenarioReport('error', `${base}.id`, `duplicate id, already used by scenarios[${seenIds[scenario.id]}]`);
+        }
+        seenIds[scenario.id] = String(s);
+
+        // Message types are the ids in the scenario's speakers registry
+        let speakers;
+        try {
+            speakers = PlayerClass.buildSpeakers(scenario);
+        } catch (error) {
+            scenarioReport('error', `${base}.speakers`, error.message);
+            speakers = PlayerClass.buildSpeakers(null);
+        }
+        const speakerTypes = Object.keys(speakers);
+
+        let conversation = scenario.conversation;
+        if (!conversation && scenario.captions) {
+            conversation = lintCaptions(PlayerClass, scenario, speakers, path.dirname(manifestPath), scenarioReport, base);
+        }
+        if (!Array.isArray(conversation)) {
+            if (!scenario.captions) {
+                scenarioReport('error', base, 'needs a "conversation" array or a "captions" file');
+            }
+            conversation = [];
+        }
+
+        // Real length of the recording, if we have it locally
+        let audioLength = null;
+        const audioFile = findLocalAudio(scenario.audio, audioDir);
+        if (audioFile) {
+            audioLength = mp3.getDuration(fs.readFileSync(audioFile));
+        } else {
+            scenarioReport('warning', `${base}.audio`, `no local copy of ${scenario.audio} in ${path.relative(process.cwd(), audioDir)}, skipping audio length checks`);
+        }
+
+        conversation.forEach((message, i) => {
+            const at = `${base}.conversation[${i}]`;
+            const label = `conversation[${i}] at ${message.timestamp}s`;
+
+            if (speakerTypes.indexOf(message.type) === -1) {
+                scenarioReport('error', `${at}.type`, `conversation[${i}] has unknown type "${message.type}" (expected one of the speakers: ${speakerTypes.join(', ')})`);
+            }
+            if (typeof message.text !== 'string' || message.text.trim() === '') {
+                scenarioReport('error', `${at}.text`, `conversation[${i}] has no text`);
+            }
+            if (message.fields !== undefined) {
+                lintFields(message.fields, leadFields, `${at}.fields`, `conversation[${i}]`, scenarioReport);
+            }
+            if (typeof message.timestamp !== 'number' || message.timestamp < 0) {
+                scenarioReport('error', `${at}.timestamp`, `conversation[${i}] has an invalid timestamp ${JSON.stringify(message.timestamp)}`);
+                return;
+            }
+            if (message.duration !== undefined && !(typeof message.duration === 'number' && message.duration > 0)) {
+                scenarioReport('error', `${at}.duration`, `${label} has an invalid duration ${JSON.stringify(message.duration)}`);
+            }
+
+            const previous = conversation[i - 1];
+            if (previous && typeof previous.timestamp === 'number') {
+                if (message.timestamp <= previous.timestamp) {
+                    scenarioReport('error', `${at}.timestamp`, `${label} does not come after conversation[${i - 1}] at ${previous.timestamp}s`);
+                } else if (previous.duration > 0 && previous.timestamp + previous.duration > message.timestamp + EPSILON) {
+                    const end = round(previous.timestamp + previous.duration);
+                    scenarioReport('error', `${base}.conversation[${i - 1}].duration`, `conversation[${i - 1}] at ${previous.timestamp}s lasts ${previous.duration}s until ${end}s, overlapping conversation[${i}] at ${message.timestamp}s`);
+                }
+            }
+
+            if (audioLength !== null) {
+                if (message.timestamp >= audioLength) {
+                    scenarioReport('error', `${at}.timestamp`, `${label} starts after the audio ends (${round(audioLength)}s)`);
+                } else if (message.duration > 0 && message.timestamp + message.duration > audioLength + EPSILON) {
+                    scenarioReport('error', `${at}.duration`, `${label} lasts until ${round(message.timestamp + message.duration)}s, past the end of the audio (${round(audioLength)}s)`);
+                }
+            }
+        });
+
+        // Extra redaction patterns must compile the way the player builds them
+        if (scenario.redact) {
+            try {
+                PlayerClass.redactConversation(conversation.filter(message => typeof message.text === 'string'), scenario.redact, speakers);
+            } catch (error) {
+                scenarioReport('error', `${base}.redact`, error.message);
+            }
+        }
+
+        const triggers = scenario.tagTriggers || [];
+        triggers.forEach((trigger, i) => {
+            const at = `${base}.tagTriggers[${i}]`;
+            const tag = trigger.tag || {};
+            const label = `tagTriggers[${i}] (${tag.type || 'no type'}) at ${trigger.timestamp}s`;
+
+            if (tagTypes.indexOf(tag.type) === -1) {
+                scenarioReport('error', `${at}.tag.type`, `tagTriggers[${i}] has tag type "${tag.type}", which has no icon in tagIcons (known: ${tagTypes.join(', ')})`);
+            }
+            if (!tag.label) {
+                scenarioReport('warning', `${at}.tag`, `${label} has no label`);
+            }
+            if (typeof trigger.timestamp !== 'number' || trigger.timestamp < 0) {
+                scenarioReport('error', `${at}.timestamp`, `tagTriggers[${i}] has an invalid timestamp ${JSON.stringify(trigger.timestamp)}`);
+                return;
+            }
+
+            const previous = triggers[i - 1];
+            if (previous && typeof previous.timestamp === 'number' && trigger.timestamp < previous.timestamp) {
+                const previousType = (previous.tag && previous.tag.type) || 'no type';
+                scenarioReport('error', `${at}.timestamp`, `${label} is listed after tagTriggers[${i - 1}] (${previousType}) at ${previous.timestamp}s`);
+            }
+
+            if (audioLength !== null && trigger.timestamp > audioLength) {
+                scenarioReport('error', `${at}.timestamp`, `${label} is past the end of the audio (${round(audioLength)}s)`);
+            }
+        });
+    });
+
+    return problems;
+}
+
+// Lead card annotations: known field keys with text values
+function lintFields(fields, leadFields, at, label, scenarioReport) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        scenarioReport('error', at, `${label} has "fields" that is not an object`);
+        return;
+    }
+    Object.keys(fields).forEach(key => {
+        if (leadFields.indexOf(key) === -1) {
+            scenarioReport('error', `${at}.${key}`, `${label} fills unknown lead field "${key}" (known: ${leadFields.join(', ')})`);
+        } else if (typeof fields[key] !== 'string' || fields[key].trim() === '') {
+            scenarioReport('error', `${at}.${key}`, `${label} has no text for lead field "${key}"`);
+        }
+    });
+}
+
+// Scenarios may point at a caption file instead of an inline conversation
+function lintCaptions(PlayerClass, scenario, speakers, baseDir, scenarioReport, base) {
+    const captionsPath = path.resolve(baseDir, scenario.captions);
+    if (!fs.existsSync(captionsPath)) {
+        scenarioReport('error', `${base}.captions`, `captions file ${scenario.captions} not found`);
+        return null;
+    }
+
+    try {
+        return PlayerClass.parseCaptions(fs.readFileSync(captionsPath, 'utf8'), {
+            speakers: PlayerClass.getCaptionSpeakers(scenario, speakers),
+            onWarning: problem => scenarioReport('warning', `${base}.captions`, `${scenario.captions}: ${problem}`)
+        });
+    } catch (error) {
+        (error.problems || [error.message]).forEach(problem => {
+            scenarioReport('error', `${base}.captions`, `${scenario.captions}: ${problem}`);
+        });
+        return null;
+    }
+}
+
+function round(seconds) {
+    return Math.round(seconds * 100) / 100;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log('Usage: node tools/lint-scenarios.js [scenarios.json] [--audio-dir audios]');
+        return;
+    }
+
+    let problems;
+    try {
+        problems = lintManifest(args.manifest, args.audioDir);
+    } catch (error) {
+        console.error(`${path.relative(process.cwd(), args.manifest)}: ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    problems.forEach(problem => {
+        console.log(`${problem.location}  ${problem.severity}  ${problem.message}`);
+    });
+
+    const errors = problems.filter(problem => problem.severity === 'error').length;
+    const warnings = problems.length - errors;
+    console.log(`\n${errors} error(s), ${warnings} warning(s)`);
+    if (errors > 0) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { lintManifest };
@@ -0,0 +1,178 @@
+// Minimal MPEG audio frame reader, enough to measure the demo recordings in
+// audios/ without decoding them or pulling in a dependency.
+
+const BITRATES = {
+    // [version][layer] -> kbps by bitrate index
+    1: {
+        1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+        2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+        3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+    },
+    2: {
+        1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+        2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+        3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+    }
+};
+
+const SAMPLE_RATES = {
+    1: [44100, 48000, 32000],
+    2: [22050, 24000, 16000],
+    2.5: [11025, 12000, 8000]
+};
+
+// Parse the 4-byte frame header at `offset`, or return null if there is none
+function parseHeader(buffer, offset) {
+    if (offset + 4 > buffer.length) return null;
+    if (buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) return null;
+
+    const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+    const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+    const bitrateIndex = (buffer[offset + 2] >> 4) & 0x0F;
+    const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+        return null;
+    }
+
+    const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+    const layer = 4 - layerBits;
+    const bitrate = BITRATES[version === 1 ? 1 : 2][layer][bitrateIndex] * 1000;
+    const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+    const padding = (buffer[offset + 2] >> 1) & 0x01;
+    const channels = ((buffer[offset + 3] >> 6) & 0x03) === 3 ? 1 : 2;
+
+    let samples;
+    let length;
+    if (layer === 1) {
+        samples = 384;
+        length = (Math.floor((12 * bitrate) / sampleRate) + padding) * 4;
+    } else {
+        samples = layer === 3 && version !== 1 ? 576 : 1152;
+        length = Math.floor(((samples / 8) * bitrate) / sampleRate) + padding;
+    }
+
+    return {
+        offset: offset,
+        version: version,
+        layer: layer,
+        protected: (buffer[offset + 1] & 0x01) === 0,
+        sampleRate: sampleRate,
+        channels: channels,
+        samples: samples,
+        length: length
+    };
+}
+
+// Size of a leading ID3v2 tag, which is skipped before looking for frames
+function id3Size(buffer) {
+    if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return 0;
+    const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+    const hasFooter = (buffer[5] & 0x10) !== 0;
+    return 10 + size + (hasFooter ? 10 : 0);
+}
+
+// Layer III side information starts after the header (and CRC) and its size
+// depends on version and channel count
+function sideInfoSize(frame) {
+    if (frame.version === 1) {
+        return frame.channels === 1 ? 17 : 32;
+    }
+    return frame.channels === 1 ? 9 : 17;
+}
+
+// A Xing/Info/VBRI frame carries encoder metadata, not audio
+function isInfoFrame(buffer, frame) {
+    const start = frame.offset + 4 + (frame.protected ? 2 : 0);
+    const xing = buffer.toString('latin1', start + sideInfoSize(frame), start + sideInfoSize(frame) + 4);
+    const vbri = buffer.toString('latin1', frame.offset + 36, frame.offset + 40);
+    return xing === 'Xing' || xing === 'Info' || vbri === 'VBRI';
+}
+
+/**
+ * List the audio frames in an MP3 buffer. A candidate header only counts when
+ * the next frame follows where it says, which filters out false syncs.
+ */
+function readFrames(buffer) {
+    const frames = [];
+    let offset = id3Size(buffer);
+
+    while (offset + 4 <= buffer.length) {
+        const frame = parseHeader(buffer, offset);
+        const next = frame && frame.length > 0 ? offset + frame.length : -1;
+        const confirmed = frame && (next === buffer.length || (next > 0 && parseHeader(buffer, next)));
+
+        if (!confirmed) {
+            offset++;
+            continue;
+        }
+
+        if (frames.length > 0 || !isInfoFrame(buffer, frame)) {
+            frames.push(frame);
+        }
+        offset = next;
+    }
+
+    return frames;
+}
+
+// Read `count` bits at a time from `buffer`, starting at byte `offset`
+function bitReader(buffer, offset) {
+    let pos = offset * 8;
+    return (count) => {
+        let value = 0;
+        for (let i = 0; i < count; i++) {
+            value = (value << 1) | ((buffer[pos >> 3] >> (7 - (pos & 7))) & 1);
+            pos++;
+        }
+        return value;
+    };
+}
+
+/**
+ * The per-granule fields of a Layer III frame's side information, as
+ * [granule][channel] = { part23Length, bigValues, globalGain }. MPEG-1 frames
+ * have two granules, MPEG-2/2.5 frames one.
+ */
+function readGranules(buffer, frame) {
+    if (frame.layer !== 3) {
+        throw new Error(`only Layer III frames have granules, not Layer ${frame.layer}`);
+    }
+
+    const read = bitReader(buffer, frame.offset + 4 + (frame.protected ? 2 : 0));
+    const mpeg1 = frame.version === 1;
+    read(mpeg1 ? 9 : 8); // main_data_begin
+    read(mpeg1 ? (frame.channels === 1 ? 5 : 3) : (frame.channels === 1 ? 1 : 2)); // private bits
+    if (mpeg1) {
+        read(4 * frame.channels); // scfsi
+    }
+
+    const granules = [];
+    for (let g = 0; g < (mpeg1 ? 2 : 1); g++) {
+        const channels = [];
+        for (let c = 0; c < frame.channels; c++) {
+            const part23Length = read(12);
+            const bigValues = read(9);
+            const globalGain = read(8);
+            read(mpeg1 ? 4 : 9); // scalefac_compress
+            read(1); // window_switching_flag
+            read(22); // block type and table selects, or table selects and regions
+            read(mpeg1 ? 3 : 2); // (preflag,) scalefac_scale, count1table_select
+            channels.push({ part23Length: part23Length, bigValues: bigValues, globalGain: globalGain });
+        }
+        granules.push(channels);
+    }
+    return granules;
+}
+
+// Duration in seconds, from the sample count of every frame
+function getDuration(buffer) {
+    return readFrames(buffer).reduce((total, frame) => total + frame.samples / frame.sampleRate, 0);
+}
+
+module.exports = {
+    parseHeader,
+    readFrames,
+    readGranules,
+    getDuration,
+    sideInfoSize
+};
@@ -0,0 +1,137 @@
+// Shared helpers for the offline scenario tools: reading the manifest with
+// line numbers, loading the player class from script.js, and finding the
+// local copy of a scenario's audio in audios/.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Parse JSON text and record the line each value starts on, keyed by its
+ * path (e.g. "scenarios[0].conversation[3].timestamp").
+ */
+function parseJsonWithLines(text) {
+    // Let JSON.parse report syntax errors in its usual words
+    JSON.parse(text);
+
+    const lines = {};
+    let pos = 0;
+    let line = 1;
+
+    const skipWhitespace = () => {
+        while (pos < text.length && /\s/.test(text[pos])) {
+            if (text[pos] === '\n') line++;
+            pos++;
+        }
+    };
+
+    const readString = () => {
+        const start = pos++;
+        while (text[pos] !== '"') {
+            if (text[pos] === '\\') pos++;
+            pos++;
+        }
+        pos++;
+        return JSON.parse(text.slice(start, pos));
+    };
+
+    const readValue = (valuePath) => {
+        skipWhitespace();
+        lines[valuePath] = line;
+
+        if (text[pos] === '{') {
+            const object = {};
+            pos++;
+            skipWhitespace();
+            while (text[pos] !== '}') {
+                skipWhitespace();
+                const key = readString();
+                skipWhitespace();
+                pos++; // ':'
+                object[key] = readValue(valuePath ? `${valuePath}.${key}` : key);
+                skipWhitespace();
+                if (text[pos] === ',') pos++;
+                skipWhitespace();
+            }
+            pos++;
+            return object;
+        }
+
+        if (text[pos] === '[') {
+            const array = [];
+            pos++;
+            skipWhitespace();
+            while (text[pos] !== ']') {
+                array.push(readValue(`${valuePath}[${array.length}]`));
+                skipWhitespace();
+                if (text[pos] === ',') pos++;
+                skipWhitespace();
+            }
+            pos++;
+            return array;
+        }
+
+        if (text[pos] === '"') {
+            return readString();
+        }
+
+        const literal = /^(?:-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/.exec(text.slice(pos, pos + 64))[0];
+        pos += literal.length;
+        return JSON.parse(literal);
+    };
+
+    return { value: readValue(''), lines: lines };
+}
+
+function readManifest(manifestPath) {
+    return parseJsonWithLines(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+/**
+ * Evaluate script.js without a page and return the ConversaPlay class, so the
+ * tools share its caption parser, tag icons and speakers registry.
+ */
+function loadPlayerClass(scriptPath = path.join(ROOT, 'script.js')) {
+    const source = fs.readFileSync(scriptPath, 'utf8');
+    const context = {
+        console: console,
+        EventTarget: EventTarget,
+        // Only extended by <conversa-play>, which the tools never create
+        HTMLElement: class {},
+        window: {},
+        document: {
+            querySelectorAll: () => []
+        }
+    };
+    return vm.runInNewContext(`${source}\n;ConversaPlay`, context, { filename: scriptPath });
+}
+
+function getTagTypes(PlayerClass) {
+    const holder = {};
+    PlayerClass.prototype.setupTagIcons.call(holder);
+    return Object.keys(holder.tagIcons);
+}
+
+/**
+ * Find the local recording for a scenario's audio URL by file name, ignoring
+ * case (the manifest says HVAC_.mp3, the file is audios/HVAC_.MP3).
+ * Returns null when there is no local copy.
+ */
+function findLocalAudio(audioUrl, audioDir = path.join(ROOT, 'audios')) {
+    if (!audioUrl || !fs.existsSync(audioDir)) return null;
+
+    const fileName = decodeURIComponent(audioUrl.split(/[?#]/)[0].split('/').pop()).toLowerCase();
+    const match = fs.readdirSync(audioDir).find(name => name.toLowerCase() === fileName);
+    return match ? path.join(audioDir, match) : null;
+}
+
+module.exports = {
+    ROOT,
+    parseJsonWithLines,
+    readManifest,
+    loadPlayerClass,
+    getTagTypes,
+    findLocalAudio
+};
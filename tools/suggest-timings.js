@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+// Propose a timestamp and duration for every line of a scenario from its
+// recording in audios/, so a re-recorded demo doesn't have to be re-timed by
+// ear. Speech and pauses are found from the MP3's loudness, then matched to
+// the lines in order, guided by how long each line takes to say and by where
+// it is timed now. Prints the changes as a diff; --write saves them to the
+// manifest.
+//
+// The loudness is an estimate: the MP3 isn't decoded, and each frame's
+// Layer III global gain stands in for its level (see readLevels()). That
+// separates speech from pauses in clean voice recordings like ours, but
+// music, background noise or a VBR encoder's choices can shift or hide a
+// pause, so treat the output as a first draft and check it by ear.
+//
+// The current timings anchor the match. --ignore-current drops them, for a
+// recording paced very differently, but then only the word counts guide it,
+// so check the result by ear.
+//
+// Usage: node tools/suggest-timings.js [scenarios.json] [--audio-dir audios]
+//                                      [--scenario id] [--ignore-current] [--write]
+
+const fs = require('fs');
+const path = require('path');
+const mp3 = require('./mp3');
+const { ROOT, readManifest, findLocalAudio } = require('./scenarios');
+
+// Loudness is measured over windows this long, in seconds
+const WINDOW = 0.1;
+// Pauses shorter than this are breaths inside a line, not gaps between lines
+const MIN_PAUSE = 0.15;
+// Bursts shorter than this are clicks or line noise
+const MIN_SPEECH = 0.15;
+// Pace of the demo voices, to estimate how long a line takes to say
+const WORDS_PER_SECOND = 2.6;
+// Cost of each second between a proposed start and the current timestamp;
+// a line twice or half its expected length costs about 0.7
+const PRIOR_WEIGHT = 1;
+// Cost of leaving a second of speech out of every line
+const SKIP_COST = 2;
+// Most speech segments one line may span
+const MAX_GROUP = 12;
+// Changes smaller than this are rounding, not worth a diff line
+const MIN_CHANGE = 0.15;
+
+const LEVELS_NOTE = 'Levels are estimated from the MP3\'s global gain, not decoded audio; check the suggestions by ear.';
+
+function parseArgs(argv) {
+    const args = { manifest: path.join(ROOT, 'scenarios.json'), audioDir: path.join(ROOT, 'audios'), usePrior: true };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--audio-dir') {
+            args.audioDir = path.resolve(argv[++i]);
+        } else if (argv[i] === '--scenario') {
+            args.scenario = argv[++i];
+        } else if (argv[i] === '--ignore-current') {
+            args.usePrior = false;
+        } else if (argv[i] === '--write') {
+            args.write = true;
+        } else if (argv[i] === '-h' || argv[i] === '--help') {
+            args.help = true;
+        } else {
+            args.manifest = path.resolve(argv[i]);
+        }
+    }
+    return args;
+}
+
+/**
+ * Loudness over time, one level per WINDOW seconds, read from the Layer III
+ * side information: the global gain each granule is quantized with rises and
+ * falls with its level, so pauses show up without decoding any samples. A
+ * granule with no coded bits is silent.
+ *
+ * This is a proxy, not the signal's energy: the gain is the encoder's
+ * quantizer step, which also depends on the bitrate and the spectrum, so the
+ * levels are only comparable within one recording.
+ */
+function readLevels(buffer) {
+    const levels = [];
+    let time = 0;
+
+    mp3.readFrames(buffer).forEach(frame => {
+        if (frame.layer !== 3) return;
+
+        const granules = mp3.readGranules(buffer, frame);
+        const granuleDuration = frame.samples / granules.length / frame.sampleRate;
+        granules.forEach(channels => {
+            const level = channels.reduce((loudest, channel) => {
+                return Math.max(loudest, channel.part23Length > 0 ? channel.globalGain : 0);
+            }, 0);
+            const index = Math.floor(time / WINDOW);
+            levels[index] = Math.max(levels[index] || 0, level);
+            time += granuleDuration;
+        });
+    });
+
+    return Array.from(levels, level => level || 0);
+}
+
+/**
+ * Split the levels into speech segments { start, end } in seconds. The
+ * threshold sits between the noise floor and the usual speech level, so it
+ * adapts to how loud each recording is.
+ */
+function findSpeech(levels) {
+    const sorted = levels.filter(level => level > 0).sort((a, b) => a - b);
+    if (sorted.length === 0) return [];
+
+    const floor = sorted[Math.floor(sorted.length * 0.1)];
+    const speech = sorted[Math.floor(sorted.length * 0.75)];
+    const threshold = floor + (speech - floor) * 0.4;
+
+    const segments = [];
+    let current = null;
+    levels.forEach((level, index) => {
+        if (level < threshold || level === 0) return;
+
+        const start = index * WINDOW;
+        if (current && start - current.end < MIN_PAUSE) {
+            current.end = start + WINDOW;
+        } else {
+            current = { start: start, end: start + WINDOW };
+            segments.push(current);
+        }
+    });
+
+    return segments.filter(segment => segment.end - segment.start >= MIN_SPEECH);
+}
+
+function expectedLength(message) {
+    const words = String(message.text || '').trim().split(/\s+/).filter(Boolean).length;
+    return Math.max(0.5, words / WORDS_PER_SECOND);
+}
+
+/**
+ * Give every line, in order, a run of consecutive speech segments. Each line
+ * costs how far its run's length is from the line's expected length (and,
+ * with `usePrior`, how far the run starts from the current timestamp);
+ * segments may be left out at a cost, e.g. for background noise. Returns one
+ * { start, end } per line, or null when there are fewer segments than lines.
+ */
+function align(conversation, segments, usePrior) {
+    const lines = conversation.length;
+    const count = segments.length;
+    if (count < lines) return null;
+
+    const cost = (m, first, last) => {
+        const message = conversation[m];
+        const length = segments[last].end - segments[first].start;
+        let total = Math.abs(Math.log(length / expectedLength(message)));
+        if (usePrior && typeof message.timestamp === 'number') {
+            total += PRIOR_WEIGHT * Math.abs(segments[first].start - message.timestamp);
+        }
+        return total;
+    };
+    const skip = s => SKIP_COST * (segments[s].end - segments[s].start);
+
+    // best[m][s]: cheapest placement of the first m lines in the first s segments
+    const best = [];
+    const from = [];
+    for (let m = 0; m <= lines; m++) {
+        best.push(new Array(count + 1).fill(Infinity));
+        from.push(new Array(count + 1).fill(null));
+    }
+    best[0][0] = 0;
+    for (let s = 1; s <= count; s++) {
+        best[0][s] = best[0][s - 1] + skip(s - 1);
+        from[0][s] = -1;
+    }
+
+    for (let m = 1; m <= lines; m++) {
+        for (let s = 1; s <= count; s++) {
+            // Leave segment s - 1 out...
+            let value = best[m][s - 1] + skip(s - 1);
+            let choice = -1;
+            // ...or end line m - 1 with it, starting at segment `first`
+            for (let first = s - 1; first >= Math.max(0, s - MAX_GROUP); first--) {
+                const candidate = best[m - 1][first] + cost(m - 1, first, s - 1);
+                if (candidate < value) {
+                    value = candidate;
+                    choice = first;
+                }
+            }
+            best[m][s] = value;
+            from[m][s] = choice;
+        }
+    }
+
+    if (!isFinite(best[lines][count])) return null;
+
+    const placed = new Array(lines);
+    for (let m = lines, s = count; m > 0;) {
+        const first = from[m][s];
+        if (first === -1) {
+            s--;
+        } else {
+            placed[m - 1] = { start: segments[first].start, end: segments[s - 1].end };
+            s = first;
+            m--;
+        }
+    }
+    return placed;
+}
+
+// Timings are hand-written to a tenth of a second
+function round(seconds) {
+    return Math.round(seconds * 10) / 10;
+}
+
+/**
+ * Proposed { timestamp, duration } for each line of a scenario, or an
+ * { error } explaining why there is none.
+ */
+function suggestScenario(scenario, audioDir, usePrior) {
+    if (!Array.isArray(scenario.conversation)) {
+        return { error: scenario.captions ? `timed by ${scenario.captions}, skipping` : 'no "conversation" array' };
+    }
+
+    const audioFile = findLocalAudio(scenario.audio, audioDir);
+    if (!audioFile) {
+        return { error: `no local copy of ${scenario.audio} in ${path.relative(process.cwd(), audioDir)}` };
+    }
+
+    const buffer = fs.readFileSync(audioFile);
+    const segments = findSpeech(readLevels(buffer));
+    const placed = align(scenario.conversation, segments, usePrior);
+    if (!placed) {
+        return { error: `found ${segments.length} speech segment(s) for ${scenario.conversation.length} lines`, audioFile: audioFile };
+    }
+
+    const timings = placed.map((run, index) => {
+        const timestamp = round(run.start);
+        const next = placed[index + 1];
+        // Rounding must not make a line run into the next one
+        const end = next ? Math.min(round(run.end), round(next.start)) : round(run.end);
+        return { timestamp: timestamp, duration: Math.max(0.1, round(end - timestamp)) };
+    });
+
+    return {
+        audioFile: audioFile,
+        duration: mp3.getDuration(buffer),
+        segments: segments.length,
+        timings: timings
+    };
+}
+
+function formatTiming(timestamp, duration) {
+    const start = typeof timestamp === 'number' ? `${timestamp}s` : 'no timestamp';
+    return `${start}${typeof duration === 'number' ? ` +${duration}s` : ''}`.padEnd(16);
+}
+
+function changed(message, timing) {
+    const moved = typeof message.timestamp !== 'number' || Math.abs(message.timestamp - timing.timestamp) >= MIN_CHANGE;
+    const resized = typeof message.duration !== 'number' || Math.abs(message.duration - timing.duration) >= MIN_CHANGE;
+    return moved || resized;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log('Usage: node tools/suggest-timings.js [scenarios.json] [--audio-dir audios] [--scenario id] [--ignore-current] [--write]');
+        console.log(LEVELS_NOTE);
+        return;
+    }
+
+    let manifest;
+    try {
+        manifest = readManifest(args.manifest).value;
+    } catch (error) {
+        console.error(`${path.relative(process.cwd(), args.manifest)}: ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const scenarios = (manifest.scenarios || []).filter(scenario => !args.scenario || scenario.id === args.scenario);
+    if (scenarios.length === 0) {
+        console.error(args.scenario ? `No scenario "${args.scenario}" in the manifest` : 'The manifest has no scenarios');
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`${LEVELS_NOTE}\n`);
+
+    let total = 0;
+    scenarios.forEach(scenario => {
+        const name = `${scenario.id}${scenario.label ? ` (${scenario.label})` : ''}`;
+        const result = suggestScenario(scenario, args.audioDir, args.usePrior);
+        if (result.error) {
+            console.log(`${name}: ${result.error}\n`);
+            return;
+        }
+
+        const audio = path.relative(process.cwd(), result.audioFile);
+        console.log(`${name}: ${audio}, ${round(result.duration)}s, ${result.segments} speech segment(s)`);
+
+        let count = 0;
+        scenario.conversation.forEach((message, index) => {
+            const timing = result.timings[index];
+            if (!changed(message, timing)) return;
+
+            const label = `conversation[${index}]`.padEnd(18);
+            const text = message.text.trim();
+            console.log(`- ${label} ${formatTiming(message.timestamp, message.duration)} ${JSON.stringify(text.length > 50 ? `${text.slice(0, 47)}...` : text)}`);
+            console.log(`+ ${label} ${formatTiming(timing.timestamp, timing.duration)}`);
+            count++;
+
+            if (args.write) {
+                message.timestamp = timing.timestamp;
+                message.duration = timing.duration;
+            }
+        });
+
+        console.log(count === 0 ? 'No changes\n' : `${count} of ${scenario.conversation.length} line(s) would change\n`);
+        total += count;
+    });
+
+    if (args.write && total > 0) {
+        fs.writeFileSync(args.manifest, `${JSON.stringify(manifest, null, 4)}\n`);
+        console.log(`Wrote ${total} change(s) to ${path.relative(process.cwd(), args.manifest)}`);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { readLevels, findSpeech, align, suggestScenario };
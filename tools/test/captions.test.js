@@ -0,0 +1,50 @@
+// Caption parsing: speaker labels versus text that merely has a colon.
+//
+// Usage: node --test tools/test
+
+const test = require('node:test');
+const assert = require('assert');
+const { loadPlayerClass } = require('../scenarios');
+
+const PlayerClass = loadPlayerClass();
+
+// A WebVTT file with one cue per text, a second apart
+function vtt(texts) {
+    return 'WEBVTT\n\n' + texts.map((text, i) => `00:00:0${i}.000 --> 00:00:0${i}.900\n${text}\n`).join('\n');
+}
+
+function parse(texts) {
+    const warnings = [];
+    const conversation = PlayerClass.parseCaptions(vtt(texts), { onWarning: message => warnings.push(message) });
+    return { conversation: Array.from(conversation, m => `${m.type}: ${m.text}`), warnings: warnings };
+}
+
+test('a label-shaped prefix after a known speaker stays part of the line', () => {
+    const result = parse(['Agent: Thanks for calling.', 'Note: we close at 5.', 'Step 2: press the reset button.']);
+    assert.deepStrictEqual(result.conversation, [
+        'ai: Thanks for calling.',
+        'ai: Note: we close at 5.',
+        'ai: Step 2: press the reset button.'
+    ]);
+    assert.strictEqual(result.warnings.length, 2);
+    assert.match(result.warnings[0], /^Cue 2 \(line \d+\): "Note:" is not a known speaker/);
+});
+
+test('known labels still switch speaker, and other colons are plain text', () => {
+    const result = parse(['Agent: Hello.', 'Caller: Hi, at 3:30 if possible.', 'The reason is simple: it leaks.']);
+    assert.deepStrictEqual(result.conversation, [
+        'ai: Hello.',
+        'user: Hi, at 3:30 if possible.',
+        'user: The reason is simple: it leaks.'
+    ]);
+    assert.deepStrictEqual(result.warnings, []);
+});
+
+test('an unmapped label on the first cue is an unknown speaker', () => {
+    assert.throws(() => parse(['Bob: Hello.', 'Agent: Hi Bob.']), error => {
+        assert.deepStrictEqual(Array.from(error.problems, problem => problem.replace(/^Cue \d+ \(line \d+\): /, '')), [
+            'unknown speaker "Bob"'
+        ]);
+        return true;
+    });
+});
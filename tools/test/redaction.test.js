@@ -0,0 +1,62 @@
+// Name redaction on the kinds of lines callers actually say.
+//
+// Usage: node --test tools/test
+
+const test = require('node:test');
+const assert = require('assert');
+const { loadPlayerClass } = require('../scenarios');
+
+const PlayerClass = loadPlayerClass();
+
+// Each line as text with its masked parts shown as [type:original]
+function redact(lines, speakers) {
+    const conversation = lines.map(text => ({ type: 'user', text: text }));
+    return PlayerClass.redactConversation(conversation, {}, speakers).map(segments => {
+        return segments.map(segment => segment.type ? `[${segment.type}:${segment.original}]` : segment.text).join('');
+    });
+}
+
+test('an answer to a name question masks the name after its lead-in', () => {
+    assert.deepStrictEqual(redact(['May I get your name?', "Sure, It's Maria Lopez.", "Thanks Maria. It's booked."]), [
+        'May I get your name?',
+        "Sure, It's [name:Maria Lopez].",
+        "Thanks [name:Maria]. It's booked."
+    ]);
+    assert.deepStrictEqual(redact(["What's your full name?", "Yes, this is Sean O'Neil, calling about the leak"]), [
+        "What's your full name?",
+        "Yes, this is [name:Sean O'Neil], calling about the leak"
+    ]);
+    assert.deepStrictEqual(redact(['Can I have your full name?', 'Sarah Longo']), [
+        'Can I have your full name?',
+        '[name:Sarah Longo]'
+    ]);
+});
+
+test('capitalized words that are not a name are left alone', () => {
+    assert.deepStrictEqual(redact(['Can I have your name?', 'Yes Please Call Me Back']), [
+        'Can I have your name?',
+        'Yes Please Call Me Back'
+    ]);
+    assert.deepStrictEqual(redact(["I'm Happy to help", 'This is Mile High HVAC, how can I help?', 'Mile High is great']), [
+        "I'm Happy to help",
+        'This is Mile High HVAC, how can I help?',
+        'Mile High is great'
+    ]);
+});
+
+test('introductions mask the name, and a full name its first name too', () => {
+    assert.deepStrictEqual(redact(['My name is Dana', 'Dana again', "I'm Sarah Longo from Denver", 'Sarah here']), [
+        'My name is [name:Dana]',
+        '[name:Dana] again',
+        "I'm [name:Sarah Longo] from Denver",
+        '[name:Sarah] here'
+    ]);
+});
+
+test('names of registered speakers stay visible', () => {
+    const speakers = PlayerClass.buildSpeakers({ speakers: [{ id: 'ai', name: 'Ava (AI)' }] });
+    assert.deepStrictEqual(redact(['Hi, this is Ava.', "Hi Ava, I'm Sarah Longo"], speakers), [
+        'Hi, this is Ava.',
+        "Hi Ava, I'm [name:Sarah Longo]"
+    ]);
+});
@@ -0,0 +1,40 @@
+// suggest-timings against the demo recordings in audios/, whose lines were
+// timed by ear.
+//
+// Usage: node --test tools/test
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const mp3 = require('../mp3');
+const { ROOT, readManifest, findLocalAudio } = require('../scenarios');
+const { readLevels, findSpeech, suggestScenario } = require('../suggest-timings');
+
+const AUDIO_DIR = path.join(ROOT, 'audios');
+const scenario = readManifest(path.join(ROOT, 'scenarios.json')).value.scenarios
+    .find(candidate => Array.isArray(candidate.conversation) && findLocalAudio(candidate.audio, AUDIO_DIR));
+const skip = scenario ? false : 'no scenario with a local recording in audios/';
+
+test('speech found from the global gain starts where each line was timed', { skip: skip }, () => {
+    const buffer = fs.readFileSync(findLocalAudio(scenario.audio, AUDIO_DIR));
+    const levels = readLevels(buffer);
+    assert.ok(Math.abs(levels.length / 10 - mp3.getDuration(buffer)) < 1, 'one level per tenth of a second');
+
+    const segments = findSpeech(levels);
+    assert.ok(segments.length >= scenario.conversation.length);
+    scenario.conversation.forEach((message, index) => {
+        const nearest = Math.min(...segments.map(segment => Math.abs(segment.start - message.timestamp)));
+        assert.ok(nearest <= 1, `conversation[${index}] at ${message.timestamp}s is ${nearest}s from any speech`);
+    });
+});
+
+test('suggested timings stay close to the hand-timed ones', { skip: skip }, () => {
+    const result = suggestScenario(scenario, AUDIO_DIR, true);
+    assert.strictEqual(result.error, undefined);
+    assert.strictEqual(result.timings.length, scenario.conversation.length);
+
+    const offsets = result.timings.map((timing, index) => Math.abs(timing.timestamp - scenario.conversation[index].timestamp));
+    assert.ok(Math.max(...offsets) <= 1, `largest offset ${Math.max(...offsets)}s`);
+    assert.ok(offsets.reduce((sum, offset) => sum + offset, 0) / offsets.length <= 0.5);
+});